@@ -0,0 +1,354 @@
+/**
+ * Manus Gateway Documentation Website
+ * Консоль запросов к API
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { copyCode } from './copyCode.js';
+import { mockGateway } from './mockGateway.js';
+import { snippets } from './snippets.js';
+import { keyManager } from './keyManager.js';
+
+// ==================== API Console ====================
+export const apiConsole = {
+    storageKey: 'manusDocs.baseUrl',
+
+    settings: {
+        baseUrl: 'http://localhost:3000',
+        apiKey: ''
+    },
+
+    // Заполняется из openapi.json (см. openApi.consoleEndpoints)
+    endpoints: {},
+
+    init() {
+        const savedBaseUrl = localStorage.getItem(this.storageKey);
+        if (savedBaseUrl) {
+            this.settings.baseUrl = savedBaseUrl;
+        }
+
+        const cards = document.querySelectorAll('.endpoint-card[data-endpoint]');
+        if (cards.length === 0) return;
+
+        this.renderSettings(cards[0]);
+        cards.forEach(card => this.renderConsole(card));
+    },
+
+    /**
+     * Общие настройки консоли: Base URL и API ключ
+     */
+    renderSettings(firstCard) {
+        const panel = document.createElement('div');
+        panel.className = 'console-settings';
+        panel.innerHTML = `
+            <div class="console-field">
+                <label for="consoleBaseUrl">Base URL</label>
+                <input type="url" id="consoleBaseUrl" class="console-input" data-setting="baseUrl"
+                       value="${utils.escapeHtml(this.settings.baseUrl)}" placeholder="http://localhost:3000">
+            </div>
+            <div class="console-field">
+                <label for="consoleApiKey">X-API-Key</label>
+                <input type="password" id="consoleApiKey" class="console-input" data-setting="apiKey"
+                       autocomplete="off" placeholder="manus_your_api_key_here">
+            </div>
+            <div class="console-field">
+                <label class="console-checkbox" data-i18n="console.mock">
+                    <input type="checkbox" id="consoleMock" data-setting="mock"${mockGateway.enabled ? ' checked' : ''}> ${i18n.t('console.mock')}
+                </label>
+                <select id="consoleMockError" class="console-input" aria-label="${i18n.t('console.mockError')}" data-i18n-aria-label="console.mockError">
+                    <option value="" data-i18n="console.noErrors">${i18n.t('console.noErrors')}</option>
+                    <option value="429" data-i18n="console.next429">${i18n.t('console.next429')}</option>
+                    <option value="500" data-i18n="console.next500">${i18n.t('console.next500')}</option>
+                </select>
+            </div>
+            <p class="note console-mock-note" data-i18n="console.mockNote">${i18n.t('console.mockNote')}</p>
+        `;
+        firstCard.parentNode.insertBefore(panel, firstCard);
+
+        this.setMockEnabled(mockGateway.enabled);
+
+        panel.querySelector('#consoleMock').addEventListener('change', (e) => {
+            this.setMockEnabled(e.target.checked);
+        });
+
+        panel.querySelector('#consoleMockError').addEventListener('change', (e) => {
+            mockGateway.forcedError = e.target.value ? Number(e.target.value) : null;
+        });
+
+        this.bindSettings(panel);
+    },
+
+    /**
+     * Поля Base URL и API ключа есть и в консоли, и в дашборде - значения общие
+     */
+    bindSettings(root) {
+        const baseUrlInput = root.querySelector('[data-setting="baseUrl"]');
+        baseUrlInput.addEventListener('change', () => {
+            this.updateSetting('baseUrl', baseUrlInput.value.trim().replace(/\/$/, ''));
+        });
+
+        // Ключ хранится только в памяти страницы
+        const apiKeyInput = root.querySelector('[data-setting="apiKey"]');
+        apiKeyInput.addEventListener('input', () => {
+            this.updateSetting('apiKey', apiKeyInput.value.trim(), apiKeyInput);
+        });
+    },
+
+    updateSetting(name, value, source) {
+        this.settings[name] = value;
+        if (name === 'baseUrl') {
+            localStorage.setItem(this.storageKey, value);
+        }
+
+        document.querySelectorAll(`[data-setting="${name}"]`).forEach(input => {
+            if (input !== source) {
+                input.value = value;
+            }
+        });
+    },
+
+    /**
+     * С включенным Mock Gateway пустой ключ заменяется демонстрационным
+     */
+    setMockEnabled(enabled) {
+        mockGateway.setEnabled(enabled);
+        document.querySelectorAll('[data-setting="mock"]').forEach(input => {
+            input.checked = enabled;
+        });
+
+        if (enabled && !this.settings.apiKey) {
+            this.updateSetting('apiKey', mockGateway.demoApiKey);
+        }
+    },
+
+    renderConsole(card) {
+        const endpointId = card.getAttribute('data-endpoint');
+        const endpoint = this.endpoints[endpointId];
+        const header = card.querySelector('.endpoint-header');
+        const body = card.querySelector('.endpoint-body');
+        if (!endpoint || !header || !body) return;
+
+        const toggle = document.createElement('button');
+        toggle.className = 'control-btn console-toggle';
+        toggle.setAttribute('data-i18n', 'console.try');
+        toggle.innerHTML = `<i class="fas fa-play"></i> ${i18n.t('console.try')}`;
+        header.appendChild(toggle);
+
+        const panel = document.createElement('div');
+        panel.className = 'api-console';
+        panel.innerHTML = `
+            <form class="console-form">
+                ${endpoint.fields.map(field => this.renderField(endpointId, field)).join('')}
+                <button type="submit" class="btn btn-primary btn-sm" data-i18n="console.send">
+                    <i class="fas fa-paper-plane"></i> ${i18n.t('console.send')}
+                </button>
+            </form>
+            <div class="console-response"></div>
+        `;
+        body.insertBefore(panel, body.firstChild);
+
+        toggle.addEventListener('click', () => {
+            panel.classList.toggle('active');
+            toggle.classList.toggle('active');
+        });
+
+        panel.querySelector('.console-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const values = {};
+            endpoint.fields.forEach(field => {
+                values[field.name] = e.target.elements[field.name].value.trim();
+            });
+
+            const output = panel.querySelector('.console-response');
+            output.innerHTML = `<div class="console-status">${i18n.t('console.sending')}</div>`;
+
+            try {
+                const request = this.buildRequest(endpointId, values);
+                const result = await this.send(request);
+                this.renderResponse(output, result);
+
+                // Принудительная ошибка mock срабатывает один раз
+                const mockError = document.getElementById('consoleMockError');
+                if (mockError && !mockGateway.forcedError) {
+                    mockError.value = '';
+                }
+            } catch (error) {
+                output.innerHTML = `
+                    <div class="console-status error">
+                        <i class="fas fa-exclamation-triangle"></i> ${utils.escapeHtml(error.message)}
+                    </div>
+                `;
+            }
+        });
+    },
+
+    renderField(endpointId, field) {
+        const id = `console-${endpointId}-${field.name}`;
+        const label = `<label for="${id}">${field.name}${field.required ? ' *' : ''} <span class="console-field-in">${field.in}</span></label>`;
+
+        let input;
+        if (field.type === 'textarea') {
+            input = `<textarea id="${id}" name="${field.name}" class="console-input" rows="3" placeholder="${field.placeholder}"></textarea>`;
+        } else if (field.type === 'select') {
+            input = `<select id="${id}" name="${field.name}" class="console-input">
+                ${field.options.map(option => `<option value="${option}">${option || '—'}</option>`).join('')}
+            </select>`;
+        } else {
+            input = `<input type="${field.type}" id="${id}" name="${field.name}" class="console-input" placeholder="${field.placeholder}"${field.type === 'number' ? ' min="1"' : ''}>`;
+        }
+
+        return `<div class="console-field">${label}${input}</div>`;
+    },
+
+    /**
+     * Описание запроса: метод, путь, query, заголовки и тело.
+     * Используется и для fetch, и для генератора примеров кода
+     */
+    describe(endpointId, values, apiKey = this.settings.apiKey) {
+        const endpoint = this.endpoints[endpointId];
+        let path = endpoint.path;
+        const query = {};
+        const body = {};
+
+        endpoint.fields.forEach(field => {
+            const value = values[field.name];
+            if (!value) {
+                if (field.required) {
+                    throw new Error(i18n.t('console.required', { name: field.name }));
+                }
+                return;
+            }
+
+            if (field.in === 'path') {
+                path = path.replace(`:${field.name}`, encodeURIComponent(value));
+            } else if (field.in === 'query') {
+                query[field.name] = value;
+            } else {
+                body[field.name] = value;
+            }
+        });
+
+        const headers = {};
+        if (endpoint.method !== 'GET') {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (apiKey) {
+            headers['X-API-Key'] = apiKey;
+        }
+
+        return {
+            method: endpoint.method,
+            baseUrl: this.settings.baseUrl,
+            path,
+            query,
+            headers,
+            body: endpoint.method !== 'GET' ? body : null
+        };
+    },
+
+    /**
+     * Сборка запроса для fetch из описания endpoint и значений формы
+     */
+    buildRequest(endpointId, values) {
+        // Без ключа запрос уходит как есть - сервер ответит 401
+        if (this.settings.apiKey) {
+            const keyError = keyManager.validateKey(this.settings.apiKey);
+            if (keyError) {
+                throw new Error(keyError);
+            }
+        }
+
+        const description = this.describe(endpointId, values);
+        return {
+            method: description.method,
+            url: snippets.buildUrl(description),
+            headers: description.headers,
+            body: description.body ? JSON.stringify(description.body) : undefined
+        };
+    },
+
+    /**
+     * Значения формы, а для пустых полей - примеры из описания endpoint
+     */
+    exampleValues(endpointId, form) {
+        const fields = this.endpoints[endpointId].fields;
+        const values = {};
+        fields.forEach(field => {
+            values[field.name] = form ? form.elements[field.name].value.trim() : '';
+        });
+
+        // Пустая форма - показываем пример целиком
+        const isEmpty = fields.every(field => !values[field.name]);
+        fields.forEach(field => {
+            if (!values[field.name] && (isEmpty || field.required)) {
+                values[field.name] = field.example || '';
+            }
+        });
+        return values;
+    },
+
+    async send(request) {
+        const started = performance.now();
+        const response = await fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body
+        });
+        const text = await response.text();
+        const duration = Math.round(performance.now() - started);
+
+        const headers = [];
+        response.headers.forEach((value, name) => headers.push([name, value]));
+
+        let body = text;
+        let isJson = false;
+        try {
+            body = JSON.stringify(JSON.parse(text), null, 2);
+            isJson = true;
+        } catch (err) {
+            // Ответ не JSON - показываем как есть
+        }
+
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            ok: response.ok,
+            duration,
+            headers,
+            body,
+            isJson
+        };
+    },
+
+    renderResponse(container, result) {
+        container.innerHTML = `
+            <div class="console-status ${result.ok ? 'success' : 'error'}">
+                <strong>${result.status} ${utils.escapeHtml(result.statusText)}</strong>
+                <span class="console-timing"><i class="fas fa-clock"></i> ${i18n.t('units.ms', { value: result.duration })}</span>
+            </div>
+            <details class="console-headers">
+                <summary>Headers (${result.headers.length})</summary>
+                <ul>
+                    ${result.headers.map(([name, value]) => `<li><code>${utils.escapeHtml(name)}</code>: ${utils.escapeHtml(keyManager.redact(value))}</li>`).join('')}
+                </ul>
+            </details>
+            <div class="code-block">
+                <div class="code-header">
+                    <span>Response</span>
+                    <button class="copy-btn">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                </div>
+                <pre><code class="${result.isJson ? 'language-json' : ''}">${utils.escapeHtml(keyManager.redact(result.body))}</code></pre>
+            </div>
+        `;
+
+        if (typeof hljs !== 'undefined' && result.isJson) {
+            hljs.highlightElement(container.querySelector('pre code'));
+        }
+
+        copyCode.init();
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * Manus Gateway Documentation Website
+ * Кнопка "Наверх"
+ */
+
+import { theme } from './theme.js';
+
+// ==================== Кнопка "Наверх" ====================
+export const backToTop = {
+    init() {
+        const button = document.getElementById('backToTop');
+        if (!button) return;
+
+        window.addEventListener('scroll', () => {
+            if (window.pageYOffset > 300) {
+                button.classList.add('visible');
+            } else {
+                button.classList.remove('visible');
+            }
+        });
+
+        button.addEventListener('click', () => {
+            window.scrollTo({
+                top: 0,
+                behavior: theme.scrollBehavior()
+            });
+        });
+    }
+};
@@ -0,0 +1,591 @@
+/**
+ * Manus Gateway Documentation Website
+ * Запуск JavaScript примеров в песочнице
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { mockGateway } from './mockGateway.js';
+import { apiConsole } from './apiConsole.js';
+import { keyManager } from './keyManager.js';
+
+// ==================== Запуск примеров ====================
+export const codeRunner = {
+    // Примеры SDK: быстрый старт, окно use case и транскрипт
+    scopes: '#sdk, #transcriptDocs',
+    languages: ['language-javascript', 'language-js'],
+    timeout: 120000,
+    maxLines: 500,
+
+    // Песочница без allow-same-origin и без сети: запросы выполняет страница
+    csp: "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'",
+    importPattern: /^[ \t]*import\s+(?:([\w$*{}\s,]+?)\s+from\s+)?['"]([^'"]+)['"];?/gm,
+
+    // Активные запуски по блокам кода
+    runs: new Map(),
+    sources: new WeakMap(),
+
+    init() {
+        window.addEventListener('message', (e) => this.receive(e));
+        this.decorate(document);
+    },
+
+    /**
+     * Кнопки запуска под JavaScript блоками с клиентом SDK.
+     * Повторный вызов после рендера добавляет их только новым блокам
+     */
+    decorate(root) {
+        // Блоки, замененные новым рендером, уже не покажут вывод
+        this.runs.forEach((run, block) => {
+            if (!block.isConnected) this.finish(block, 'stopped');
+        });
+
+        root.querySelectorAll('.code-block:not([data-runnable])').forEach(block => {
+            const code = block.querySelector('pre code');
+            if (!code || !block.closest(this.scopes) || !this.isRunnable(code)) return;
+
+            block.setAttribute('data-runnable', '');
+            this.sources.set(block, code.textContent);
+
+            const runner = document.createElement('div');
+            runner.className = 'code-runner';
+            runner.innerHTML = `
+                <div class="code-runner-actions">
+                    <button type="button" class="btn btn-primary btn-sm" data-action="run" data-i18n="runner.run">
+                        <i class="fas fa-play"></i> ${i18n.t('runner.run')}
+                    </button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="edit" aria-pressed="false" data-i18n="runner.edit">
+                        <i class="fas fa-pen"></i> ${i18n.t('runner.edit')}
+                    </button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="reset" data-i18n="runner.reset" hidden>
+                        <i class="fas fa-undo"></i> ${i18n.t('runner.reset')}
+                    </button>
+                </div>
+                <div class="code-runner-output" role="log" aria-label="${i18n.t('runner.output')}" data-i18n-aria-label="runner.output" hidden></div>
+            `;
+            block.appendChild(runner);
+
+            runner.querySelector('.code-runner-actions').addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+
+                const action = button.getAttribute('data-action');
+                if (action === 'run') {
+                    if (this.runs.has(block)) {
+                        this.finish(block, 'stopped');
+                    } else {
+                        this.run(block);
+                    }
+                } else if (action === 'edit') {
+                    this.toggleEditor(block);
+                } else {
+                    this.reset(block);
+                }
+            });
+        });
+    },
+
+    isRunnable(code) {
+        return this.languages.some(name => code.classList.contains(name))
+            && /\bclient\.|ManusGatewayClient/.test(code.textContent);
+    },
+
+    // ==================== Редактирование ====================
+    /**
+     * Редактор заменяет подсвеченный код, текст в <code> обновляется при вводе,
+     * поэтому кнопка копирования берет исправленный пример
+     */
+    toggleEditor(block) {
+        const pre = block.querySelector('pre');
+        const code = pre.querySelector('code');
+        const button = block.querySelector('[data-action="edit"]');
+        let editor = block.querySelector('.code-runner-editor');
+
+        if (!editor) {
+            editor = document.createElement('textarea');
+            editor.className = 'console-input code-runner-editor';
+            editor.spellcheck = false;
+            editor.setAttribute('aria-label', i18n.t('runner.editor'));
+            editor.setAttribute('data-i18n-aria-label', 'runner.editor');
+            editor.hidden = true;
+            editor.addEventListener('input', () => {
+                code.textContent = editor.value;
+                this.updateReset(block);
+            });
+            pre.after(editor);
+        }
+
+        const editing = editor.hidden;
+        if (editing) {
+            editor.value = code.textContent;
+            editor.rows = Math.min(30, editor.value.split('\n').length + 1);
+        } else {
+            this.highlight(code);
+        }
+
+        pre.hidden = editing;
+        editor.hidden = !editing;
+        button.setAttribute('aria-pressed', String(editing));
+        if (editing) {
+            editor.focus();
+        }
+    },
+
+    reset(block) {
+        const code = block.querySelector('pre code');
+        const editor = block.querySelector('.code-runner-editor');
+
+        code.textContent = this.sources.get(block);
+        if (editor) {
+            editor.value = code.textContent;
+        }
+        if (!editor || editor.hidden) {
+            this.highlight(code);
+        }
+        this.updateReset(block);
+    },
+
+    updateReset(block) {
+        const code = block.querySelector('pre code');
+        block.querySelector('[data-action="reset"]').hidden = code.textContent === this.sources.get(block);
+    },
+
+    highlight(code) {
+        if (typeof hljs === 'undefined') return;
+        code.removeAttribute('data-highlighted');
+        hljs.highlightElement(code);
+    },
+
+    // ==================== Выполнение ====================
+    run(block) {
+        const output = block.querySelector('.code-runner-output');
+        output.hidden = false;
+        output.innerHTML = '';
+
+        let code;
+        try {
+            code = this.prepare(block.querySelector('pre code').textContent);
+        } catch (error) {
+            this.print(output, 'error', error.message);
+            return;
+        }
+
+        // Скрытый iframe без доступа к странице и сети
+        const iframe = document.createElement('iframe');
+        iframe.className = 'code-runner-sandbox';
+        iframe.setAttribute('sandbox', 'allow-scripts');
+        iframe.setAttribute('aria-hidden', 'true');
+        iframe.tabIndex = -1;
+        iframe.srcdoc = this.sandboxHtml(code);
+
+        this.runs.set(block, {
+            block,
+            iframe,
+            output,
+            lines: 0,
+            hints: new Set(),
+            started: performance.now(),
+            timer: setTimeout(() => this.finish(block, 'timeout'), this.timeout)
+        });
+        this.setRunning(block, true);
+        this.print(output, 'info', i18n.t('runner.started', { target: this.target() }));
+
+        block.querySelector('.code-runner').appendChild(iframe);
+    },
+
+    /**
+     * Завершение запуска: iframe удаляется вместе с таймерами и запросами примера
+     */
+    finish(block, outcome) {
+        const run = this.runs.get(block);
+        if (!run) return;
+
+        clearTimeout(run.timer);
+        run.iframe.remove();
+        this.runs.delete(block);
+        this.setRunning(block, false);
+
+        const time = this.duration(performance.now() - run.started);
+        const messages = {
+            done: ['success', i18n.t('runner.done', { time })],
+            failed: ['error', i18n.t('runner.failed', { time })],
+            timeout: ['error', i18n.t('runner.timeout', { time: this.duration(this.timeout) })],
+            stopped: ['info', i18n.t('runner.stopped')]
+        };
+        const [level, text] = messages[outcome];
+        this.print(run.output, `status ${level}`, text, true);
+        utils.announce(text);
+    },
+
+    setRunning(block, running) {
+        const button = block.querySelector('[data-action="run"]');
+        const key = running ? 'runner.stop' : 'runner.run';
+        button.setAttribute('data-i18n', key);
+        button.innerHTML = `<i class="fas fa-${running ? 'stop' : 'play'}"></i> ${i18n.t(key)}`;
+        block.querySelector('.code-runner-output').setAttribute('aria-busy', String(running));
+    },
+
+    target() {
+        return mockGateway.enabled ? 'Mock Gateway' : apiConsole.settings.baseUrl;
+    },
+
+    /**
+     * Импорт manus-gateway заменяется готовым SDK, других модулей в песочнице нет.
+     * Код оборачивается в блок, чтобы пример мог объявить свой client
+     */
+    prepare(code) {
+        const body = code.replace(this.importPattern, (statement, clause, name) => {
+            if (name !== 'manus-gateway') {
+                throw new Error(i18n.t('runner.unavailable', { module: name }));
+            }
+            return clause ? `const ${this.binding(clause)} = __sdk;` : '';
+        });
+        return `{\n${body}\n}`;
+    },
+
+    /**
+     * import { A as B } → const { A: B }, import * as sdk → const sdk
+     */
+    binding(clause) {
+        const namespace = clause.match(/^\*\s+as\s+([\w$]+)$/);
+        if (namespace) return namespace[1];
+
+        return clause.trim().replace(/\s+as\s+/g, ': ');
+    },
+
+    sandboxHtml(code) {
+        const apiKey = apiConsole.settings.apiKey;
+        const config = {
+            // Настоящий ключ в песочницу не передается: страница подставит его в запрос
+            env: {
+                MANUS_API_KEY: apiKey ? keyManager.mask(apiKey) : '',
+                MANUS_BASE_URL: apiConsole.settings.baseUrl
+            }
+        };
+        const json = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${this.csp}">
+</head>
+<body>
+<script>
+const send = message => parent.postMessage(message, '*');
+const sandbox = (${this.runtime.toString()})(${json(config)}, send);
+addEventListener('message', event => {
+    if (event.source === parent) sandbox.receive(event.data);
+});
+addEventListener('error', event => sandbox.fail(event.error || event.message));
+addEventListener('unhandledrejection', event => sandbox.fail(event.reason));
+sandbox.run(${json(code)});
+</script>
+</body>
+</html>`;
+    },
+
+    /**
+     * Окружение примера внутри iframe: SDK, console и process.env.
+     * Функция попадает в srcdoc через toString(), поэтому не использует ничего снаружи
+     */
+    runtime: function (config, send) {
+        const AsyncFunction = (async () => {}).constructor;
+        const pending = new Map();
+        let lastId = 0;
+
+        class ManusGatewayError extends Error {
+            constructor(message, status = null) {
+                super(message);
+                this.name = 'ManusGatewayError';
+                this.status = status;
+            }
+        }
+
+        class AuthenticationError extends ManusGatewayError {
+            constructor(message, status) {
+                super(message, status);
+                this.name = 'AuthenticationError';
+            }
+        }
+
+        class TaskNotFoundError extends ManusGatewayError {
+            constructor(message, status) {
+                super(message, status);
+                this.name = 'TaskNotFoundError';
+            }
+        }
+
+        const errors = { ManusGatewayError, AuthenticationError, TaskNotFoundError };
+
+        // Методы из раздела "JavaScript SDK", HTTP-запросы выполняет страница
+        class ManusGatewayClient {
+            constructor(options = {}) {
+                this.options = { apiKey: options.apiKey, baseUrl: options.baseUrl };
+                this.timeout = options.timeout;
+            }
+
+            request(method, args) {
+                const id = ++lastId;
+                return new Promise((resolve, reject) => {
+                    pending.set(id, { resolve, reject });
+                    send({ type: 'call', id, method, args, options: this.options });
+                });
+            }
+
+            createTask(prompt) {
+                return this.request('createTask', [prompt]);
+            }
+
+            getTask(taskUuid) {
+                return this.request('getTask', [taskUuid]);
+            }
+
+            listTasks(options = {}) {
+                return this.request('listTasks', [options]);
+            }
+
+            async waitForCompletion(taskUuid, { pollInterval = 10000, maxWait = 3600000 } = {}) {
+                const started = Date.now();
+                for (;;) {
+                    const task = await this.getTask(taskUuid);
+                    if (task.status === 'completed' || task.status === 'failed') {
+                        return task;
+                    }
+                    if (Date.now() - started + pollInterval > maxWait) {
+                        throw new ManusGatewayError(`Task ${taskUuid} did not complete within ${maxWait}ms`);
+                    }
+                    await new Promise(resolve => setTimeout(resolve, pollInterval));
+                }
+            }
+        }
+
+        const format = value => {
+            if (typeof value === 'string') return value;
+            if (value instanceof Error) return `${value.name}: ${value.message}`;
+            try {
+                return JSON.stringify(value, null, 2) ?? String(value);
+            } catch (error) {
+                return String(value);
+            }
+        };
+
+        const console = {};
+        ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+            console[level] = (...args) => send({ type: 'console', level, text: args.map(format).join(' ') });
+        });
+
+        const sdk = { ManusGatewayClient, ...errors };
+        const process = { env: { ...config.env } };
+        const require = name => {
+            if (name === 'manus-gateway') return sdk;
+            throw new Error(`Cannot find module '${name}'`);
+        };
+        const client = new ManusGatewayClient({ apiKey: process.env.MANUS_API_KEY, baseUrl: process.env.MANUS_BASE_URL });
+
+        const fail = error => send({
+            type: 'error',
+            name: error instanceof Error ? error.name : 'Error',
+            message: error instanceof Error ? error.message : format(error)
+        });
+
+        return {
+            fail,
+
+            run(code) {
+                const globals = { __sdk: sdk, client, ...sdk, console, process, require };
+                let main;
+                try {
+                    main = new AsyncFunction(...Object.keys(globals), code);
+                } catch (error) {
+                    fail(error);
+                    return Promise.resolve();
+                }
+                return main(...Object.values(globals)).then(() => send({ type: 'done' }), fail);
+            },
+
+            receive(message) {
+                const call = message && message.type === 'result' && pending.get(message.id);
+                if (!call) return;
+
+                pending.delete(message.id);
+                if (message.error) {
+                    const ErrorClass = errors[message.error.name] || ManusGatewayError;
+                    call.reject(new ErrorClass(message.error.message, message.error.status));
+                } else {
+                    call.resolve(message.value);
+                }
+            }
+        };
+    },
+
+    // ==================== Сообщения песочницы ====================
+    receive(event) {
+        const run = Array.from(this.runs.values()).find(item => item.iframe.contentWindow === event.source);
+        const message = event.data;
+        if (!run || !message) return;
+
+        if (message.type === 'console') {
+            this.print(run.output, message.level, message.text);
+        } else if (message.type === 'call') {
+            this.call(message.method, message.args, message.options, text => this.print(run.output, 'request', text))
+                .then(value => ({ type: 'result', id: message.id, value }), error => {
+                    this.hint(run, error);
+                    return { type: 'result', id: message.id, error: { name: error.name, message: error.message, status: error.status } };
+                })
+                .then(reply => {
+                    // Ответ на остановленный запуск не нужен
+                    if (this.runs.get(run.block) === run) {
+                        run.iframe.contentWindow.postMessage(reply, '*');
+                    }
+                });
+        } else if (message.type === 'error') {
+            this.print(run.output, 'error', `${message.name}: ${message.message}`);
+            this.finish(run.block, 'failed');
+        } else if (message.type === 'done') {
+            this.finish(run.block, 'done');
+        }
+    },
+
+    /**
+     * Вызов метода SDK через fetch страницы: с включенным Mock Gateway запрос перехватывается
+     */
+    async call(method, args = [], options = {}, log = () => {}) {
+        // baseUrl из песочницы не используется: иначе пример мог бы отправить ключ на чужой сервер
+        const baseUrl = apiConsole.settings.baseUrl.replace(/\/$/, '');
+        // Вместо маски из process.env подставляется ключ из консоли API
+        const apiKey = keyManager.isValidKey(options.apiKey || '') ? options.apiKey : apiConsole.settings.apiKey;
+        const request = this.request(method, args);
+        const url = baseUrl + request.path;
+
+        const headers = {};
+        if (request.body) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (apiKey) {
+            headers['X-API-Key'] = apiKey;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: request.method,
+                headers,
+                body: request.body ? JSON.stringify(request.body) : undefined
+            });
+        } catch (error) {
+            log(`${request.method} ${url} → ${error.message}`);
+            throw this.error('ManusGatewayError', `Could not reach ${baseUrl}: ${error.message}`);
+        }
+        log(`${request.method} ${url} → ${response.status}`);
+
+        let body = {};
+        try {
+            body = await response.json();
+        } catch (err) {
+            // Ответ не JSON - ошибка будет по статусу
+        }
+
+        if (!response.ok) {
+            const message = body.message || `HTTP ${response.status}`;
+            if (response.status === 401) {
+                throw this.error('AuthenticationError', message, 401);
+            }
+            if (response.status === 404 && method === 'getTask') {
+                throw this.error('TaskNotFoundError', message, 404);
+            }
+            throw this.error('ManusGatewayError', message, response.status);
+        }
+
+        const data = body.data || {};
+        if (method === 'listTasks') {
+            return { tasks: (data.tasks || []).map(task => this.toTask(task)), ...data.pagination };
+        }
+        return this.toTask(method === 'createTask' ? { prompt: args[0], ...data } : data);
+    },
+
+    request(method, args) {
+        if (method === 'createTask') {
+            return { method: 'POST', path: '/api/v1/tasks', body: { prompt: args[0] } };
+        }
+        if (method === 'getTask') {
+            return { method: 'GET', path: `/api/v1/tasks/${encodeURIComponent(args[0])}` };
+        }
+        if (method === 'listTasks') {
+            const params = new URLSearchParams();
+            Object.entries(args[0] || {}).forEach(([name, value]) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    params.set(name, value);
+                }
+            });
+            const query = params.toString();
+            return { method: 'GET', path: `/api/v1/tasks${query ? `?${query}` : ''}` };
+        }
+        throw this.error('ManusGatewayError', `Unknown SDK method: ${method}`);
+    },
+
+    /**
+     * Ответ API в формате "Task Object Structure" из SDK_DOCUMENTATION.md
+     */
+    toTask(data) {
+        return {
+            task_uuid: data.taskUuid,
+            prompt: data.prompt ?? null,
+            status: data.status,
+            created_at: data.createdAt ?? null,
+            updated_at: data.updatedAt ?? null,
+            sent_at: data.sentAt ?? null,
+            response: data.result ?? null,
+            error: data.errorMessage ?? null
+        };
+    },
+
+    error(name, message, status = null) {
+        const error = new Error(message);
+        error.name = name;
+        error.status = status;
+        return error;
+    },
+
+    /**
+     * Подсказка под ошибкой запроса, по одной на запуск
+     */
+    hint(run, error) {
+        let key = null;
+        if (error.name === 'AuthenticationError') {
+            key = 'runner.authHint';
+        } else if (error.name === 'ManusGatewayError' && !error.status) {
+            key = 'runner.networkHint';
+        }
+        if (!key || run.hints.has(key)) return;
+
+        run.hints.add(key);
+        this.print(run.output, 'hint', i18n.t(key, { baseUrl: apiConsole.settings.baseUrl }));
+    },
+
+    // ==================== Вывод ====================
+    print(output, level, text, force = false) {
+        const run = Array.from(this.runs.values()).find(item => item.output === output);
+        if (run && !force) {
+            run.lines++;
+            if (run.lines > this.maxLines) {
+                if (run.lines === this.maxLines + 1) {
+                    this.print(output, 'info', i18n.t('runner.truncated', { count: this.maxLines }), true);
+                }
+                return;
+            }
+        }
+
+        const line = document.createElement('div');
+        line.className = `code-runner-line ${level}`;
+        line.textContent = keyManager.redact(text);
+        output.appendChild(line);
+        output.scrollTop = output.scrollHeight;
+    },
+
+    duration(ms) {
+        return ms < 1000
+            ? i18n.t('units.ms', { value: Math.round(ms) })
+            : i18n.t('units.seconds', { value: (ms / 1000).toFixed(1) });
+    }
+};
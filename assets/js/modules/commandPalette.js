@@ -0,0 +1,249 @@
+/**
+ * Manus Gateway Documentation Website
+ * Командная палитра
+ */
+
+import { docs } from './docs.js';
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { modal } from './modal.js';
+import { useCases } from './useCases.js';
+import { router } from './router.js';
+
+// ==================== Командная палитра ====================
+export const commandPalette = {
+    storageKey: 'manusDocs.recentCommands',
+    maxRecent: 5,
+    items: [],
+    results: [],
+    selected: 0,
+
+    init() {
+        const input = document.getElementById('paletteInput');
+        if (!input) return;
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.open();
+            }
+        });
+
+        const toggle = document.getElementById('paletteToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.open());
+        }
+
+        input.addEventListener('input', () => this.update(input.value));
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.select(this.selected + 1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.select(this.selected - 1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.run(this.results[this.selected]);
+            }
+        });
+    },
+
+    open() {
+        // Поверх другого модального окна палитра не открывается
+        if (modal.currentModal) return;
+
+        const input = document.getElementById('paletteInput');
+        this.items = this.collectItems();
+        input.value = '';
+        this.update('');
+        modal.open('commandPalette');
+        input.focus();
+    },
+
+    /**
+     * Сбор элементов: разделы, endpoints, примеры и заголовки документов
+     */
+    collectItems() {
+        const items = [];
+
+        document.querySelectorAll('section[id]').forEach(section => {
+            const navLink = document.querySelector(`.nav-link[href="#${section.id}"]`);
+            const title = section.querySelector('.section-title');
+            items.push({
+                id: `section:${section.id}`,
+                type: i18n.t('palette.section'),
+                icon: 'fa-bookmark',
+                title: (navLink || title || section).textContent.trim().split('\n')[0],
+                action: () => utils.smoothScrollTo(section)
+            });
+        });
+
+        document.querySelectorAll('.endpoint-card[data-endpoint]').forEach((card, index) => {
+            const method = card.querySelector('.http-method');
+            const path = card.querySelector('.endpoint-header code');
+            const title = card.querySelector('.endpoint-title');
+            items.push({
+                id: `endpoint:${card.getAttribute('data-endpoint') || index}`,
+                type: 'Endpoint',
+                icon: 'fa-route',
+                title: `${method ? method.textContent.trim() : ''} ${path ? path.textContent.trim() : ''}`.trim(),
+                subtitle: title ? title.textContent.trim() : '',
+                keywords: card.getAttribute('data-endpoint') || '',
+                action: () => utils.smoothScrollTo(card)
+            });
+        });
+
+        Object.entries(useCases.cases).forEach(([caseId, useCase]) => {
+            items.push({
+                id: `usecase:${caseId}`,
+                type: i18n.t('palette.example'),
+                icon: 'fa-lightbulb',
+                title: useCase.title,
+                keywords: caseId,
+                action: () => window.showUseCase(caseId)
+            });
+        });
+
+        Object.keys(docs).forEach(docType => {
+            const container = document.getElementById(`${docType}-content`);
+            const docTitle = document.querySelector(`#trans-${docType} .doc-header h3`);
+            if (!container) return;
+
+            container.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+                items.push({
+                    id: `heading:${docType}:${heading.textContent.trim()}`,
+                    type: heading.tagName,
+                    icon: 'fa-heading',
+                    title: heading.textContent.trim(),
+                    subtitle: docTitle ? docTitle.textContent.trim() : docType,
+                    action: () => router.navigate(`#${heading.id}`)
+                });
+            });
+        });
+
+        return items;
+    },
+
+    /**
+     * Нечёткое совпадение: все символы запроса по порядку,
+     * бонус за подряд идущие символы и начала слов
+     */
+    fuzzyScore(query, text) {
+        const q = query.toLowerCase();
+        const t = text.toLowerCase();
+        let score = 0;
+        let position = 0;
+        let streak = 0;
+
+        for (const char of q) {
+            if (char === ' ') continue;
+
+            const found = t.indexOf(char, position);
+            if (found === -1) return -1;
+
+            streak = found === position ? streak + 1 : 0;
+            score += 1 + streak * 2;
+            if (found === 0 || /[\s/.\-_:›(]/.test(t[found - 1])) {
+                score += 3;
+            }
+            // Штраф за пропущенные символы
+            score -= Math.min(found - position, 5) * 0.1;
+            position = found + 1;
+        }
+
+        return score;
+    },
+
+    update(query) {
+        if (!query.trim()) {
+            const recent = this.getRecent();
+            this.results = recent
+                .map(id => this.items.find(item => item.id === id))
+                .filter(Boolean);
+            this.render(this.results.length ? i18n.t('palette.recent') : '');
+            return;
+        }
+
+        this.results = this.items
+            .map(item => ({
+                item,
+                score: Math.max(
+                    this.fuzzyScore(query, item.title),
+                    this.fuzzyScore(query, `${item.subtitle || ''} ${item.title} ${item.keywords || ''}`) - 1
+                )
+            }))
+            .filter(result => result.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 50)
+            .map(result => result.item);
+
+        this.render();
+    },
+
+    render(caption = '') {
+        const list = document.getElementById('paletteResults');
+        const input = document.getElementById('paletteInput');
+        this.selected = 0;
+
+        if (this.results.length === 0) {
+            list.innerHTML = caption ? '' : `<li class="palette-empty" role="presentation">${i18n.t('search.noResults')}</li>`;
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        list.innerHTML = (caption ? `<li class="palette-caption" role="presentation">${caption}</li>` : '') +
+            this.results.map((item, index) => `
+                <li class="palette-item${index === 0 ? ' active' : ''}" id="palette-option-${index}" role="option" aria-selected="${index === 0}" data-index="${index}">
+                    <i class="fas ${item.icon}"></i>
+                    <span class="palette-title">${utils.escapeHtml(item.title)}</span>
+                    ${item.subtitle ? `<span class="palette-subtitle">${utils.escapeHtml(item.subtitle)}</span>` : ''}
+                    <span class="palette-type">${item.type}</span>
+                </li>
+            `).join('');
+
+        list.querySelectorAll('.palette-item').forEach(element => {
+            element.addEventListener('click', () => {
+                this.run(this.results[Number(element.getAttribute('data-index'))]);
+            });
+        });
+        input.setAttribute('aria-activedescendant', 'palette-option-0');
+    },
+
+    select(index) {
+        if (this.results.length === 0) return;
+
+        this.selected = (index + this.results.length) % this.results.length;
+        document.querySelectorAll('#paletteResults .palette-item').forEach(element => {
+            const isActive = Number(element.getAttribute('data-index')) === this.selected;
+            element.classList.toggle('active', isActive);
+            element.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                element.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        document.getElementById('paletteInput').setAttribute('aria-activedescendant', `palette-option-${this.selected}`);
+    },
+
+    run(item) {
+        if (!item) return;
+
+        this.addRecent(item.id);
+        modal.close();
+        item.action();
+    },
+
+    getRecent() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (err) {
+            return [];
+        }
+    },
+
+    addRecent(id) {
+        const recent = [id, ...this.getRecent().filter(recentId => recentId !== id)].slice(0, this.maxRecent);
+        localStorage.setItem(this.storageKey, JSON.stringify(recent));
+    }
+};
@@ -0,0 +1,93 @@
+/**
+ * Manus Gateway Documentation Website
+ * Копирование кода
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { keyManager } from './keyManager.js';
+
+// ==================== Копирование кода ====================
+export const copyCode = {
+    clipboard: null,
+
+    init() {
+        // Кнопки с одной иконкой получают подпись для экранных дикторов
+        document.querySelectorAll('.copy-btn:not([aria-label])').forEach(btn => {
+            btn.setAttribute('aria-label', i18n.t('copy.label'));
+            btn.setAttribute('data-i18n-aria-label', 'copy.label');
+        });
+
+        // Инициализация clipboard.js если доступен.
+        // Обработчик делегирован, поэтому повторные вызовы после рендера ничего не добавляют
+        if (typeof ClipboardJS !== 'undefined') {
+            if (this.clipboard) return;
+
+            // Ключи пользователя в скопированном коде заменяются масками
+            const clipboard = new ClipboardJS('.copy-btn', {
+                text: (trigger) => keyManager.redact(this.textOf(trigger))
+            });
+
+            this.clipboard = clipboard;
+
+            clipboard.on('success', (e) => {
+                this.confirm(e.trigger);
+                e.clearSelection();
+            });
+
+            clipboard.on('error', (e) => {
+                console.error('Failed to copy:', e);
+                utils.announce(i18n.t('copy.failed'));
+            });
+        } else {
+            // Fallback для браузеров без clipboard.js
+            document.querySelectorAll('.copy-btn:not([data-copy-bound])').forEach(btn => {
+                btn.setAttribute('data-copy-bound', '');
+                btn.addEventListener('click', async () => {
+                    const codeBlock = btn.closest('.code-block');
+                    if (codeBlock) {
+                        const code = codeBlock.querySelector('code');
+                        if (code) {
+                            const success = await utils.copyToClipboard(keyManager.redact(code.textContent));
+                            if (success) {
+                                this.confirm(btn);
+                            } else {
+                                utils.announce(i18n.t('copy.failed'));
+                            }
+                        }
+                    }
+                });
+            });
+        }
+    },
+
+    /**
+     * Галочка на кнопке на 2 секунды и объявление в live-регионе
+     */
+    confirm(btn) {
+        const originalHTML = btn.innerHTML;
+        btn.innerHTML = '<i class="fas fa-check"></i>';
+        btn.classList.add('copied');
+        utils.announce(i18n.t('copy.done'));
+
+        setTimeout(() => {
+            btn.innerHTML = originalHTML;
+            btn.classList.remove('copied');
+        }, 2000);
+    },
+
+    textOf(trigger) {
+        const targetId = trigger.getAttribute('data-clipboard-target');
+        if (targetId) {
+            const target = document.querySelector(targetId);
+            return target ? target.textContent : '';
+        }
+        // Если нет target, берем следующий code block
+        const codeBlock = trigger.closest('.code-block');
+        if (codeBlock) {
+            const code = codeBlock.querySelector('code');
+            return code ? code.textContent : '';
+        }
+        return '';
+    }
+};
@@ -0,0 +1,425 @@
+/**
+ * Manus Gateway Documentation Website
+ * Дашборд задач
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { transcript } from './transcript.js';
+import { mockGateway } from './mockGateway.js';
+import { apiConsole } from './apiConsole.js';
+import { keyManager } from './keyManager.js';
+
+// ==================== Дашборд задач ====================
+export const dashboard = {
+    // Интервал обновления задач в работе - как initial_interval в SDK
+    refreshInterval: 5000,
+    inProgress: ['pending', 'sent', 'processing'],
+
+    // Заголовки колонок в каталоге: dashboard.column.<поле>
+    columns: ['taskUuid', 'status', 'prompt', 'createdAt', 'updatedAt'],
+
+    // Поля задачи для экспорта (структура Task из openapi.json)
+    exportFields: ['taskUuid', 'status', 'prompt', 'result', 'errorMessage', 'createdAt', 'updatedAt'],
+
+    query: { status: '', page: 1, limit: 25 },
+    tasks: [],
+    pagination: null,
+    sort: { key: 'createdAt', direction: 'desc' },
+    filter: '',
+    // Выбор сохраняется между страницами: taskUuid -> задача
+    selected: new Map(),
+    openTaskUuid: null,
+    timer: null,
+    refreshing: false,
+
+    init() {
+        const section = document.getElementById('dashboard');
+        if (!section) return;
+
+        const baseUrlInput = document.getElementById('dashboardBaseUrl');
+        const apiKeyInput = document.getElementById('dashboardApiKey');
+        const mockInput = document.getElementById('dashboardMock');
+        baseUrlInput.value = apiConsole.settings.baseUrl;
+        apiKeyInput.value = apiConsole.settings.apiKey;
+        mockInput.checked = mockGateway.enabled;
+        apiConsole.bindSettings(section);
+        mockInput.addEventListener('change', () => apiConsole.setMockEnabled(mockInput.checked));
+
+        document.getElementById('dashboardForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.query.page = 1;
+            this.load();
+        });
+        document.getElementById('dashboardStatus').addEventListener('change', (e) => {
+            this.query.status = e.target.value;
+            this.query.page = 1;
+            this.load();
+        });
+        document.getElementById('dashboardLimit').addEventListener('change', (e) => {
+            this.query.limit = Number(e.target.value);
+            this.query.page = 1;
+            this.load();
+        });
+        document.getElementById('dashboardFilter').addEventListener('input', utils.debounce((e) => {
+            this.filter = e.target.value.trim().toLowerCase();
+            this.renderTable();
+        }, 200));
+        document.getElementById('dashboardAutoRefresh').addEventListener('change', () => this.schedule());
+
+        document.getElementById('dashboardPrev').addEventListener('click', () => this.goToPage(this.query.page - 1));
+        document.getElementById('dashboardNext').addEventListener('click', () => this.goToPage(this.query.page + 1));
+        document.getElementById('dashboardExportCsv').addEventListener('click', () => this.exportSelected('csv'));
+        document.getElementById('dashboardExportJson').addEventListener('click', () => this.exportSelected('json'));
+
+        this.setupTable(document.getElementById('dashboardTable'));
+
+        // Скрытая вкладка не расходует лимит запросов
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.schedule();
+        });
+        document.addEventListener('localechange', () => {
+            this.renderTable();
+            const task = this.tasks.find(item => item.taskUuid === this.openTaskUuid);
+            if (task) this.renderDetail(task);
+        });
+
+        this.renderTable();
+    },
+
+    setupTable(table) {
+        table.addEventListener('click', (e) => {
+            const sortButton = e.target.closest('.dashboard-sort');
+            if (sortButton) {
+                this.sortBy(sortButton.getAttribute('data-key'));
+                return;
+            }
+
+            const row = e.target.closest('tr[data-task]');
+            if (row && !e.target.closest('input')) {
+                this.open(row.getAttribute('data-task'));
+            }
+        });
+
+        table.addEventListener('change', (e) => {
+            if (e.target.id === 'dashboardSelectAll') {
+                this.visibleTasks().forEach(task => {
+                    if (e.target.checked) {
+                        this.selected.set(task.taskUuid, task);
+                    } else {
+                        this.selected.delete(task.taskUuid);
+                    }
+                });
+                this.renderTable();
+            } else if (e.target.classList.contains('dashboard-select')) {
+                const taskUuid = e.target.getAttribute('data-task');
+                if (e.target.checked) {
+                    this.selected.set(taskUuid, this.tasks.find(task => task.taskUuid === taskUuid));
+                } else {
+                    this.selected.delete(taskUuid);
+                }
+                this.renderTable();
+            }
+        });
+    },
+
+    /**
+     * Запрос к API через описание endpoint из openapi.json
+     */
+    async request(endpointId, values) {
+        if (!apiConsole.endpoints[endpointId]) {
+            throw new Error(i18n.t('dashboard.noSpec'));
+        }
+
+        const request = apiConsole.buildRequest(endpointId, values);
+        const response = await fetch(request.url, {
+            method: request.method,
+            headers: request.headers
+        });
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Тело ответа не JSON - сообщение берется из статуса
+        }
+
+        if (!response.ok || !data || !data.success) {
+            const error = new Error(`${response.status} ${(data && data.message) || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data.data;
+    },
+
+    async load() {
+        clearTimeout(this.timer);
+        this.setStatus(`<i class="fas fa-spinner fa-spin"></i> ${i18n.t('dashboard.loading')}`);
+
+        try {
+            const data = await this.request('listTasks', {
+                status: this.query.status,
+                page: String(this.query.page),
+                limit: String(this.query.limit)
+            });
+            this.tasks = data.tasks;
+            this.pagination = data.pagination;
+            this.tasks.forEach(task => this.updateSelected(task));
+            this.setStatus('');
+        } catch (error) {
+            this.tasks = [];
+            this.pagination = null;
+            this.setStatus(utils.escapeHtml(error.message), 'error');
+        }
+
+        this.renderTable();
+        this.schedule();
+    },
+
+    goToPage(page) {
+        if (!this.pagination || page < 1 || page > this.pagination.totalPages) return;
+        this.query.page = page;
+        this.load();
+    },
+
+    /**
+     * Автообновление задач в работе через GET /api/v1/tasks/:taskUuid
+     */
+    schedule(delay = this.refreshInterval) {
+        clearTimeout(this.timer);
+        const enabled = document.getElementById('dashboardAutoRefresh').checked;
+        if (!enabled || this.refreshing || !this.tasks.some(task => this.isInProgress(task))) return;
+
+        this.timer = setTimeout(() => this.refreshInProgress(), delay);
+    },
+
+    async refreshInProgress() {
+        if (document.hidden) return;
+
+        this.refreshing = true;
+        let delay = this.refreshInterval;
+
+        // Последовательно, чтобы не упираться в лимит запросов
+        for (const task of this.tasks.filter(item => this.isInProgress(item))) {
+            try {
+                const fresh = await this.request('getTask', { taskUuid: task.taskUuid });
+                this.replaceTask(fresh);
+            } catch (error) {
+                if (error.status === 429) {
+                    delay = this.refreshInterval * 6;
+                    this.setStatus(i18n.t('dashboard.rateLimited'), 'warning');
+                    break;
+                }
+                this.setStatus(utils.escapeHtml(error.message), 'error');
+            }
+        }
+
+        this.refreshing = false;
+        this.renderTable();
+        this.schedule(delay);
+    },
+
+    isInProgress(task) {
+        return this.inProgress.includes(task.status);
+    },
+
+    replaceTask(fresh) {
+        const index = this.tasks.findIndex(task => task.taskUuid === fresh.taskUuid);
+        if (index !== -1) {
+            this.tasks[index] = fresh;
+        }
+        this.updateSelected(fresh);
+
+        if (this.openTaskUuid === fresh.taskUuid) {
+            this.renderDetail(fresh);
+        }
+    },
+
+    updateSelected(task) {
+        if (this.selected.has(task.taskUuid)) {
+            this.selected.set(task.taskUuid, task);
+        }
+    },
+
+    sortBy(key) {
+        this.sort = this.sort.key === key
+            ? { key, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: 'asc' };
+        this.renderTable();
+    },
+
+    /**
+     * Задачи текущей страницы после фильтра и сортировки
+     */
+    visibleTasks() {
+        const { key, direction } = this.sort;
+        const order = direction === 'asc' ? 1 : -1;
+        const rank = (task) => key === 'status'
+            ? mockGateway.statuses.indexOf(task.status)
+            : String(task[key] || '');
+
+        return this.tasks
+            .filter(task => !this.filter || [task.taskUuid, task.prompt, task.result, task.errorMessage]
+                .some(value => value && value.toLowerCase().includes(this.filter)))
+            .sort((a, b) => {
+                const left = rank(a);
+                const right = rank(b);
+                return (typeof left === 'number' ? left - right : left.localeCompare(right)) * order;
+            });
+    },
+
+    setStatus(html, level = '') {
+        const status = document.getElementById('dashboardMessage');
+        status.innerHTML = html ? `<div class="console-status ${level}">${html}</div>` : '';
+    },
+
+    renderTable() {
+        const table = document.getElementById('dashboardTable');
+        const tasks = this.visibleTasks();
+        const allSelected = tasks.length > 0 && tasks.every(task => this.selected.has(task.taskUuid));
+
+        const header = this.columns.map(column => {
+            const active = this.sort.key === column;
+            const icon = active ? `fa-sort-${this.sort.direction === 'asc' ? 'up' : 'down'}` : 'fa-sort';
+            return `
+                <th aria-sort="${active ? (this.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}">
+                    <button class="dashboard-sort${active ? ' active' : ''}" data-key="${column}">
+                        ${i18n.t(`dashboard.column.${column}`)} <i class="fas ${icon}"></i>
+                    </button>
+                </th>
+            `;
+        }).join('');
+
+        const rows = tasks.map(task => `
+            <tr data-task="${utils.escapeHtml(task.taskUuid)}"${task.taskUuid === this.openTaskUuid ? ' class="active"' : ''}>
+                <td><input type="checkbox" class="dashboard-select" data-task="${utils.escapeHtml(task.taskUuid)}"${this.selected.has(task.taskUuid) ? ' checked' : ''} aria-label="${i18n.t('dashboard.select', { id: utils.escapeHtml(task.taskUuid) })}"></td>
+                <td><button type="button" class="dashboard-open"><code>${utils.escapeHtml(task.taskUuid)}</code></button></td>
+                <td>${this.renderStatus(task)}</td>
+                <td class="dashboard-prompt">${utils.escapeHtml(keyManager.redact(task.prompt))}</td>
+                <td class="dashboard-date">${utils.formatDate(task.createdAt)}</td>
+                <td class="dashboard-date">${utils.formatDate(task.updatedAt)}</td>
+            </tr>
+        `).join('');
+
+        const empty = this.pagination
+            ? i18n.t(this.filter ? 'dashboard.noMatches' : 'dashboard.noTasks')
+            : i18n.t('dashboard.hint');
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th><input type="checkbox" id="dashboardSelectAll"${allSelected ? ' checked' : ''} aria-label="${i18n.t('dashboard.selectAll')}"></th>
+                    ${header}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows || `<tr><td colspan="${this.columns.length + 1}" class="dashboard-empty">${empty}</td></tr>`}
+            </tbody>
+        `;
+
+        this.renderPagination();
+    },
+
+    renderStatus(task) {
+        const spinner = this.isInProgress(task) ? ' <i class="fas fa-circle-notch fa-spin"></i>' : '';
+        return `<span class="status-badge status-${utils.escapeHtml(task.status)}">${utils.escapeHtml(task.status)}${spinner}</span>`;
+    },
+
+    renderPagination() {
+        const info = document.getElementById('dashboardPageInfo');
+        const pagination = this.pagination;
+
+        info.textContent = pagination
+            ? i18n.t('dashboard.page', { page: pagination.page, pages: Math.max(pagination.totalPages, 1), total: pagination.total })
+            : '';
+        document.getElementById('dashboardPrev').disabled = !pagination || pagination.page <= 1;
+        document.getElementById('dashboardNext').disabled = !pagination || pagination.page >= pagination.totalPages;
+
+        const count = this.selected.size;
+        document.getElementById('dashboardSelectedCount').textContent = count ? i18n.t('dashboard.selected', { count }) : '';
+        document.getElementById('dashboardExportCsv').disabled = count === 0;
+        document.getElementById('dashboardExportJson').disabled = count === 0;
+    },
+
+    open(taskUuid) {
+        const task = this.tasks.find(item => item.taskUuid === taskUuid);
+        if (!task) return;
+
+        this.openTaskUuid = taskUuid;
+        this.renderTable();
+        this.renderDetail(task);
+    },
+
+    /**
+     * Карточка задачи: ответ рендерится тем же конвейером, что и документы транскрипта
+     */
+    renderDetail(task) {
+        const detail = document.getElementById('dashboardDetail');
+        detail.classList.add('active');
+        detail.innerHTML = `
+            <div class="dashboard-detail-header">
+                <h3><code>${utils.escapeHtml(task.taskUuid)}</code> ${this.renderStatus(task)}</h3>
+                <button class="control-btn" id="dashboardDetailClose" aria-label="${i18n.t('common.close')}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <p class="dashboard-detail-meta">
+                ${i18n.t('dashboard.dates', { created: utils.formatDate(task.createdAt), updated: utils.formatDate(task.updatedAt) })}
+            </p>
+            <h4>${i18n.t('dashboard.column.prompt')}</h4>
+            <p class="dashboard-detail-prompt">${utils.escapeHtml(keyManager.redact(task.prompt))}</p>
+            <h4>${i18n.t('dashboard.response')}</h4>
+            <div class="dashboard-detail-result doc-content"></div>
+        `;
+
+        const result = detail.querySelector('.dashboard-detail-result');
+        if (task.status === 'completed' && task.result) {
+            transcript.renderMarkdown(result, keyManager.redact(task.result), `task-${task.taskUuid}`);
+        } else if (task.status === 'failed') {
+            result.innerHTML = `<div class="console-status error">${utils.escapeHtml(task.errorMessage || i18n.t('dashboard.failed'))}</div>`;
+        } else {
+            result.innerHTML = `<p class="dashboard-empty">${i18n.t('dashboard.running')}</p>`;
+        }
+
+        detail.querySelector('#dashboardDetailClose').addEventListener('click', () => {
+            this.openTaskUuid = null;
+            detail.classList.remove('active');
+            detail.innerHTML = '';
+            this.renderTable();
+        });
+    },
+
+    exportSelected(format) {
+        const tasks = Array.from(this.selected.values()).map(task => {
+            const item = {};
+            this.exportFields.forEach(field => {
+                item[field] = task[field] === undefined ? null : task[field];
+            });
+            return item;
+        });
+        if (tasks.length === 0) return;
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        if (format === 'csv') {
+            utils.downloadFile(this.toCsv(tasks), `manus-tasks-${stamp}.csv`, 'text/csv');
+        } else {
+            utils.downloadFile(`${JSON.stringify(tasks, null, 2)}\n`, `manus-tasks-${stamp}.json`, 'application/json');
+        }
+    },
+
+    /**
+     * CSV по RFC 4180: поля с запятыми, кавычками и переводами строк в кавычках
+     */
+    toCsv(tasks) {
+        const quote = (value) => {
+            const text = value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [this.exportFields.join(',')];
+        tasks.forEach(task => {
+            lines.push(this.exportFields.map(field => quote(task[field])).join(','));
+        });
+        return `${lines.join('\r\n')}\r\n`;
+    }
+};
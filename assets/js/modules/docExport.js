@@ -0,0 +1,407 @@
+/**
+ * Manus Gateway Documentation Website
+ * Экспорт документации в PDF, HTML и EPUB
+ */
+
+import { docs } from './docs.js';
+import { docRegistry } from './docRegistry.js';
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { theme } from './theme.js';
+import { toc } from './toc.js';
+import { markdown } from './markdown.js';
+import { mockGateway } from './mockGateway.js';
+
+// ==================== Экспорт документации ====================
+export const docExport = {
+    stylesheet: 'assets/css/export.css',
+    // Светлая тема подсветки: экспорт печатается и читается на белом фоне
+    highlightTheme: 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github.min.css',
+    crcTable: null,
+
+    init() {
+        const toggle = document.getElementById('exportToggle');
+        const panel = document.getElementById('exportPanel');
+        if (!toggle || !panel) return;
+
+        this.renderDocs();
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggle.setAttribute('aria-expanded', String(!panel.hidden));
+        });
+
+        panel.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => this.run(button.getAttribute('data-format')));
+        });
+    },
+
+    /**
+     * Флажки документов из docs/manifest.json
+     */
+    renderDocs() {
+        const fieldset = document.getElementById('exportDocs');
+        if (!fieldset) return;
+
+        fieldset.querySelectorAll('label').forEach(label => label.remove());
+        fieldset.insertAdjacentHTML('beforeend', docRegistry.documents.map(doc => `
+            <label class="console-checkbox"><input type="checkbox" name="exportDoc" value="${doc.id}" checked> ${utils.escapeHtml(doc.title)}</label>
+        `).join(''));
+    },
+
+    selectedDocs() {
+        return Array.from(document.querySelectorAll('#exportPanel input[name="exportDoc"]:checked'))
+            .map(input => input.value)
+            .filter(docType => docs[docType]);
+    },
+
+    async run(format) {
+        const selected = this.selectedDocs();
+        if (selected.length === 0) {
+            this.setStatus(i18n.t('export.noDocs'), 'error');
+            return;
+        }
+
+        this.setStatus(`<i class="fas fa-spinner fa-spin"></i> ${i18n.t('export.preparing')}`);
+        try {
+            const parts = selected.map(docType => this.prepare(docType));
+            const css = await this.loadStyles();
+            const stamp = new Date().toISOString().slice(0, 10);
+
+            if (format === 'pdf') {
+                this.print(this.buildHtml(parts, css));
+            } else if (format === 'html') {
+                utils.downloadFile(this.buildHtml(parts, css), `manus-gateway-docs-${stamp}.html`, 'text/html');
+            } else {
+                utils.downloadFile(this.buildEpub(parts, css), `manus-gateway-docs-${stamp}.epub`, 'application/epub+zip');
+            }
+            this.setStatus('');
+        } catch (error) {
+            console.error('Ошибка экспорта:', error);
+            this.setStatus(i18n.t('export.failed', { message: utils.escapeHtml(error.message) }), 'error');
+        }
+    },
+
+    setStatus(html, level = '') {
+        document.getElementById('exportStatus').innerHTML = html
+            ? `<div class="console-status ${level}">${html}</div>`
+            : '';
+    },
+
+    /**
+     * Стили экспорта и тема подсветки встраиваются в файл.
+     * Без сети тема берется из кэша service worker, иначе код остается без цветов
+     */
+    async loadStyles() {
+        const [own, theme] = await Promise.all([this.stylesheet, this.highlightTheme].map(async url => {
+            try {
+                const response = await fetch(url);
+                return response.ok ? await response.text() : '';
+            } catch (error) {
+                return '';
+            }
+        }));
+        return `${own}\n${theme}`;
+    },
+
+    /**
+     * Документ для экспорта: тот же Markdown, но без интерактивных элементов.
+     * Сворачиваемые секции раскрыты, у заголовков уникальные id для оглавления
+     */
+    prepare(docType) {
+        const root = document.createElement('div');
+        root.innerHTML = markdown.render(docs[docType]);
+
+        root.querySelectorAll('details').forEach(details => {
+            const section = document.createElement('div');
+            section.className = 'doc-details';
+
+            const summary = details.querySelector(':scope > summary');
+            if (summary) {
+                const title = document.createElement('p');
+                title.className = 'doc-details-title';
+                title.textContent = summary.textContent;
+                section.appendChild(title);
+                summary.remove();
+            }
+
+            while (details.firstChild) {
+                section.appendChild(details.firstChild);
+            }
+            details.replaceWith(section);
+        });
+
+        // Иконки Font Awesome в файл не попадают
+        root.querySelectorAll('i.fas, i.fab, i.far').forEach(icon => icon.remove());
+
+        if (typeof hljs !== 'undefined') {
+            root.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+        }
+
+        const headings = [];
+        const used = {};
+        root.querySelectorAll('h1, h2, h3').forEach(heading => {
+            const text = heading.textContent.trim();
+            let slug = toc.slugify(text);
+            used[slug] = used[slug] === undefined ? 0 : used[slug] + 1;
+            if (used[slug]) {
+                slug = `${slug}-${used[slug]}`;
+            }
+
+            heading.id = `${docType}-${slug}`;
+            headings.push({ id: heading.id, text, level: Number(heading.tagName.substring(1)) });
+        });
+
+        const firstHeading = headings.find(heading => heading.level === 1);
+        return {
+            docType,
+            title: firstHeading ? firstHeading.text : docRegistry.title(docType),
+            root,
+            headings
+        };
+    },
+
+    /**
+     * Оглавление: документы и их разделы второго уровня
+     */
+    renderToc(parts, hrefOf) {
+        return `<ol>\n${parts.map(part => {
+            const sections = part.headings.filter(heading => heading.level === 2);
+            const items = sections.map(heading => `<li><a href="${hrefOf(part, heading)}">${utils.escapeHtml(heading.text)}</a></li>`);
+            return `<li><a href="${hrefOf(part)}">${utils.escapeHtml(part.title)}</a>${items.length ? `\n<ol>\n${items.join('\n')}\n</ol>` : ''}</li>`;
+        }).join('\n')}\n</ol>`;
+    },
+
+    /**
+     * Самодостаточный HTML-файл: стили и подсветка встроены
+     */
+    buildHtml(parts, css) {
+        const tocHtml = this.renderToc(parts, (part, heading) => `#${heading ? heading.id : `doc-${part.docType}`}`);
+
+        return `<!DOCTYPE html>
+<html lang="${i18n.locale}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="author" content="${utils.escapeHtml(i18n.t('export.author'))}">
+<title>${utils.escapeHtml(i18n.t('export.title'))}</title>
+<style>
+${css}
+</style>
+</head>
+<body>
+<header class="export-cover">
+<h1>${utils.escapeHtml(i18n.t('export.title'))}</h1>
+<p>${parts.map(part => utils.escapeHtml(part.title)).join(' · ')}</p>
+<p>${utils.formatDate(new Date())}</p>
+</header>
+<nav class="export-toc">
+<h2>${i18n.t('export.toc')}</h2>
+${tocHtml}
+</nav>
+${parts.map(part => `<article class="export-doc" id="doc-${part.docType}">\n${part.root.innerHTML}\n</article>`).join('\n')}
+</body>
+</html>
+`;
+    },
+
+    /**
+     * PDF через диалог печати браузера: файл печатается из скрытого iframe
+     * со стилями @media print из export.css
+     */
+    print(html) {
+        const frame = document.createElement('iframe');
+        frame.className = 'export-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.addEventListener('load', () => {
+            const frameWindow = frame.contentWindow;
+            frameWindow.addEventListener('afterprint', () => frame.remove());
+            frameWindow.focus();
+            frameWindow.print();
+        });
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    },
+
+    // ==================== EPUB ====================
+    /**
+     * EPUB 3 с оглавлением nav.xhtml и toc.ncx для старых читалок
+     */
+    buildEpub(parts, css) {
+        const uid = `urn:uuid:${crypto.randomUUID ? crypto.randomUUID() : mockGateway.generateUuid()}`;
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const fileOf = (part) => `${part.docType}.xhtml`;
+        const serializer = new XMLSerializer();
+
+        const xhtml = (title, body, extra = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${i18n.locale}" lang="${i18n.locale}">
+<head>
+<meta charset="UTF-8"/>
+<title>${utils.escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>${extra}
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+        const files = [
+            { name: 'mimetype', content: 'application/epub+zip' },
+            {
+                name: 'META-INF/container.xml',
+                content: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`
+            },
+            {
+                name: 'OEBPS/content.opf',
+                content: `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${i18n.locale}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="uid">${uid}</dc:identifier>
+<dc:title>${utils.escapeHtml(i18n.t('export.title'))}</dc:title>
+<dc:creator>${utils.escapeHtml(i18n.t('export.author'))}</dc:creator>
+<dc:language>${i18n.locale}</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${parts.map(part => `<item id="${part.docType}" href="${fileOf(part)}" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine toc="ncx">
+<itemref idref="nav"/>
+${parts.map(part => `<itemref idref="${part.docType}"/>`).join('\n')}
+</spine>
+</package>
+`
+            },
+            {
+                name: 'OEBPS/nav.xhtml',
+                content: xhtml(i18n.t('export.toc'), `<nav epub:type="toc" id="toc" class="export-toc">
+<h1>${i18n.t('export.toc')}</h1>
+${this.renderToc(parts, (part, heading) => `${fileOf(part)}${heading ? `#${heading.id}` : ''}`)}
+</nav>`)
+            },
+            {
+                name: 'OEBPS/toc.ncx',
+                content: `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${uid}"/>
+</head>
+<docTitle><text>${utils.escapeHtml(i18n.t('export.title'))}</text></docTitle>
+<navMap>
+${parts.map((part, index) => `<navPoint id="nav-${part.docType}" playOrder="${index + 1}">
+<navLabel><text>${utils.escapeHtml(part.title)}</text></navLabel>
+<content src="${fileOf(part)}"/>
+</navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`
+            },
+            { name: 'OEBPS/style.css', content: css }
+        ];
+
+        // XMLSerializer дает корректный XHTML: закрытые теги и экранирование
+        parts.forEach(part => {
+            files.push({ name: `OEBPS/${fileOf(part)}`, content: xhtml(part.title, serializer.serializeToString(part.root)) });
+        });
+
+        return this.zip(files);
+    },
+
+    /**
+     * ZIP без сжатия (метод stored): mimetype обязан идти первым и не сжиматься
+     */
+    zip(files) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        const header = (size, fill) => {
+            const bytes = new Uint8Array(size);
+            fill(new DataView(bytes.buffer));
+            return bytes;
+        };
+
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = header(30, view => {
+                view.setUint32(0, 0x04034b50, true);
+                view.setUint16(4, 20, true);
+                view.setUint16(6, 0x0800, true);
+                view.setUint16(8, 0, true);
+                view.setUint16(10, time, true);
+                view.setUint16(12, date, true);
+                view.setUint32(14, crc, true);
+                view.setUint32(18, data.length, true);
+                view.setUint32(22, data.length, true);
+                view.setUint16(26, name.length, true);
+                view.setUint16(28, 0, true);
+            });
+
+            central.push(header(46, view => {
+                view.setUint32(0, 0x02014b50, true);
+                view.setUint16(4, 20, true);
+                view.setUint16(6, 20, true);
+                view.setUint16(8, 0x0800, true);
+                view.setUint16(10, 0, true);
+                view.setUint16(12, time, true);
+                view.setUint16(14, date, true);
+                view.setUint32(16, crc, true);
+                view.setUint32(20, data.length, true);
+                view.setUint32(24, data.length, true);
+                view.setUint16(28, name.length, true);
+                view.setUint32(42, offset, true);
+            }), name);
+
+            chunks.push(local, name, data);
+            offset += local.length + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+        const end = header(22, view => {
+            view.setUint32(0, 0x06054b50, true);
+            view.setUint16(8, files.length, true);
+            view.setUint16(10, files.length, true);
+            view.setUint32(12, centralSize, true);
+            view.setUint32(16, offset, true);
+        });
+
+        return new Blob([...chunks, ...central, end], { type: 'application/epub+zip' });
+    },
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Manus Gateway Documentation Website
+ * Реестр документов из docs/manifest.json
+ */
+
+import { docs } from './docs.js';
+import { i18n } from './i18n.js';
+
+// ==================== Реестр документов ====================
+export const docRegistry = {
+    manifest: 'docs/manifest.json',
+    documents: [],
+    failed: false,
+
+    // ID входит в ссылки на заголовки вида #api/polling, поэтому только латинские буквы
+    idPattern: /^[a-z]+$/,
+
+    async load() {
+        try {
+            const response = await fetch(this.manifest);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const { documents } = await response.json();
+            this.documents = documents
+                .filter(doc => {
+                    const valid = doc && this.idPattern.test(doc.id) && doc.path;
+                    if (!valid) console.warn('Документ пропущен, нужны id и path:', doc);
+                    return valid;
+                })
+                .map(doc => ({ title: doc.id, ...doc }))
+                .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+            this.failed = false;
+        } catch (error) {
+            console.error('Не удалось загрузить список документов:', error);
+            this.documents = [];
+            this.failed = true;
+        }
+
+        // Роутер и оглавление проверяют документ через "id in docs"
+        Object.keys(docs).forEach(id => delete docs[id]);
+        this.documents.forEach(doc => {
+            docs[doc.id] = null;
+        });
+        return this.documents;
+    },
+
+    find(id) {
+        return this.documents.find(doc => doc.id === id) || null;
+    },
+
+    /**
+     * Текст документа, который отмечен в манифесте как источник данных: "provides": ["useCases"]
+     */
+    content(role) {
+        const doc = this.documents.find(item => Array.isArray(item.provides) && item.provides.includes(role));
+        return doc ? docs[doc.id] : null;
+    },
+
+    title(id) {
+        const doc = this.find(id);
+        return doc ? doc.title : id;
+    },
+
+    /**
+     * Имя файла для заголовка документа: SDK_DOCUMENTATION.md
+     */
+    fileName(doc) {
+        return doc.path.split('/').pop();
+    },
+
+    /**
+     * Описание на языке интерфейса: строка или объект { ru, en }
+     */
+    description(doc) {
+        const { description } = doc;
+        if (!description || typeof description === 'string') return description || '';
+        return description[i18n.locale] ?? description[i18n.fallback] ?? '';
+    }
+};
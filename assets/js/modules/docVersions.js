@@ -0,0 +1,493 @@
+/**
+ * Manus Gateway Documentation Website
+ * Версии документации и сравнение версий
+ */
+
+import { docs } from './docs.js';
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { docRegistry } from './docRegistry.js';
+import { transcript } from './transcript.js';
+
+// ==================== Версии документации ====================
+export const docVersions = {
+    storageKey: 'manusDocs.docVersion',
+    registry: 'docs/versions.json',
+    // Неизмененные строки вокруг правки в сравнении
+    context: 3,
+    // Предел таблицы LCS: большие правки показываются как замена блока целиком
+    maxCells: 4000000,
+
+    // Без versions.json доступна только актуальная версия из docs/
+    versions: [{ id: 'latest', path: 'docs/', latest: true }],
+    current: 'latest',
+    // Тексты версий для сравнения: "v1/api" -> markdown
+    texts: new Map(),
+    // Номер последнего сравнения: ответы предыдущих запросов отбрасываются
+    diffRequest: 0,
+
+    async init() {
+        const select = document.getElementById('docVersionSelect');
+        if (select) {
+            select.addEventListener('change', () => this.select(select.value));
+        }
+
+        const latestBtn = document.getElementById('versionBannerLatest');
+        if (latestBtn) {
+            latestBtn.addEventListener('click', () => this.select(this.latest().id));
+        }
+
+        const diffBtn = document.getElementById('versionBannerDiff');
+        if (diffBtn) {
+            diffBtn.addEventListener('click', () => this.openDiff(this.current, this.latest().id));
+        }
+
+        this.renderDocOptions();
+        this.setupDiff();
+
+        document.addEventListener('localechange', () => {
+            this.renderSelects();
+            this.renderBanner();
+            if (!this.diffPanel().hidden) {
+                this.showDiff();
+            }
+        });
+
+        await this.load();
+        this.renderSelects();
+        this.renderBanner();
+    },
+
+    /**
+     * Список версий из docs/versions.json и сохраненный выбор
+     */
+    async load() {
+        try {
+            const response = await fetch(this.registry);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const { versions } = await response.json();
+            if (Array.isArray(versions) && versions.some(version => version.latest)) {
+                this.versions = versions;
+            }
+        } catch (error) {
+            console.warn('Список версий документации недоступен:', error);
+        }
+
+        const saved = this.find(localStorage.getItem(this.storageKey));
+        this.current = (saved || this.latest()).id;
+    },
+
+    find(versionId) {
+        return this.versions.find(version => version.id === versionId) || null;
+    },
+
+    latest() {
+        return this.versions.find(version => version.latest) || this.versions[0];
+    },
+
+    isOld() {
+        return this.current !== this.latest().id;
+    },
+
+    /**
+     * Путь к документу в папке версии: path из docs/manifest.json относительно папки
+     */
+    path(docType, versionId = this.current) {
+        const version = this.find(versionId) || this.latest();
+        const doc = docRegistry.find(docType);
+        return doc ? `${version.path}${doc.path}` : null;
+    },
+
+    label(version) {
+        if (version.latest) return i18n.t('versions.latest');
+        if (!version.date) return version.label || version.id;
+
+        const date = new Date(version.date).toLocaleDateString(i18n.tag(), { year: 'numeric', month: 'long', day: 'numeric' });
+        return i18n.t('versions.release', { label: version.label || version.id, date });
+    },
+
+    /**
+     * Переключение версии: транскрипт и поиск перестраиваются по документам версии
+     */
+    async select(versionId) {
+        const version = this.find(versionId);
+        if (!version || version.id === this.current) return;
+
+        this.current = version.id;
+        if (version.latest) {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            localStorage.setItem(this.storageKey, version.id);
+        }
+
+        this.renderSelects();
+        this.renderBanner();
+        await transcript.reload();
+        utils.announce(i18n.t('versions.switched', { version: this.label(version) }));
+    },
+
+    renderSelects() {
+        const options = selected => this.versions.map(version => `
+            <option value="${utils.escapeHtml(version.id)}"${version.id === selected ? ' selected' : ''}>${utils.escapeHtml(this.label(version))}</option>
+        `).join('');
+
+        const select = document.getElementById('docVersionSelect');
+        if (select) {
+            select.innerHTML = options(this.current);
+            select.disabled = this.versions.length < 2;
+        }
+
+        // Сравнение по умолчанию: самая старая версия против актуальной
+        const from = document.getElementById('diffFrom');
+        const to = document.getElementById('diffTo');
+        if (from && to) {
+            const oldest = this.versions[this.versions.length - 1].id;
+            from.innerHTML = options(from.value || oldest);
+            to.innerHTML = options(to.value || this.latest().id);
+        }
+    },
+
+    renderDocOptions() {
+        const select = document.getElementById('diffDoc');
+        if (!select) return;
+
+        select.innerHTML = docRegistry.documents.map(doc => `
+            <option value="${doc.id}">${utils.escapeHtml(doc.title)}</option>
+        `).join('');
+    },
+
+    /**
+     * Баннер над документами, пока открыта не актуальная версия
+     */
+    renderBanner() {
+        const banner = document.getElementById('versionBanner');
+        if (!banner) return;
+
+        banner.hidden = !this.isOld();
+        if (banner.hidden) return;
+
+        document.getElementById('versionBannerText').textContent = i18n.t('versions.oldBanner', {
+            version: this.label(this.find(this.current)),
+            latest: this.label(this.latest())
+        });
+    },
+
+    // ==================== Сравнение версий ====================
+    diffPanel() {
+        return document.getElementById('versionDiffPanel');
+    },
+
+    setupDiff() {
+        const toggle = document.getElementById('versionDiffToggle');
+        const panel = this.diffPanel();
+        if (!toggle || !panel) return;
+
+        toggle.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggle.setAttribute('aria-expanded', String(!panel.hidden));
+            if (!panel.hidden) {
+                this.showDiff();
+            }
+        });
+
+        panel.querySelectorAll('select, input[name="diffMode"]').forEach(control => {
+            control.addEventListener('change', () => this.showDiff());
+        });
+    },
+
+    /**
+     * Открытие панели сравнения для активного документа
+     */
+    openDiff(fromId, toId) {
+        const panel = this.diffPanel();
+        if (!panel) return;
+
+        const activeDoc = document.querySelector('.transcript-doc.active');
+        if (activeDoc) {
+            document.getElementById('diffDoc').value = activeDoc.id.replace('trans-', '');
+        }
+        document.getElementById('diffFrom').value = fromId;
+        document.getElementById('diffTo').value = toId;
+
+        panel.hidden = false;
+        document.getElementById('versionDiffToggle').setAttribute('aria-expanded', 'true');
+        this.showDiff();
+        utils.smoothScrollTo(panel);
+    },
+
+    async showDiff() {
+        const output = document.getElementById('versionDiffOutput');
+        const docType = document.getElementById('diffDoc').value;
+        const fromId = document.getElementById('diffFrom').value;
+        const toId = document.getElementById('diffTo').value;
+        const mode = document.querySelector('input[name="diffMode"]:checked')?.value || 'inline';
+
+        const request = ++this.diffRequest;
+        output.innerHTML = `<p class="diff-empty"><i class="fas fa-spinner fa-spin"></i> ${i18n.t('versions.loading')}</p>`;
+        try {
+            const [oldText, newText] = await Promise.all([this.text(docType, fromId), this.text(docType, toId)]);
+            if (request !== this.diffRequest) return;
+            output.innerHTML = this.renderDiff(this.diffLines(oldText, newText), mode);
+        } catch (error) {
+            if (request !== this.diffRequest) return;
+            output.innerHTML = `<p class="diff-empty diff-error">${utils.escapeHtml(error.message)}</p>`;
+        }
+    },
+
+    /**
+     * Текст документа версии: открытая версия уже загружена транскриптом
+     */
+    async text(docType, versionId) {
+        if (versionId === this.current && docs[docType]) {
+            return docs[docType];
+        }
+
+        const key = `${versionId}/${docType}`;
+        if (!this.texts.has(key)) {
+            const path = this.path(docType, versionId);
+            const response = await fetch(path).catch(() => null);
+            if (!response || !response.ok) {
+                throw new Error(i18n.t('versions.loadFailed', { path }));
+            }
+            this.texts.set(key, await response.text());
+        }
+        return this.texts.get(key);
+    },
+
+    /**
+     * Построчное сравнение по наибольшей общей подпоследовательности.
+     * Строки: { type: 'same' | 'removed' | 'added', text, oldLine, newLine }
+     */
+    diffLines(oldText, newText) {
+        const a = oldText.split('\n');
+        const b = newText.split('\n');
+        const lines = [];
+        const push = (type, text, i, j) => lines.push({
+            type,
+            text,
+            oldLine: type === 'added' ? null : i + 1,
+            newLine: type === 'removed' ? null : j + 1
+        });
+
+        // Общие начало и конец не участвуют в LCS: правки в документах обычно локальные
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        for (let k = 0; k < start; k++) push('same', a[k], k, k);
+
+        const n = endA - start;
+        const m = endB - start;
+        if ((n + 1) * (m + 1) > this.maxCells) {
+            for (let i = 0; i < n; i++) push('removed', a[start + i], start + i, null);
+            for (let j = 0; j < m; j++) push('added', b[start + j], null, start + j);
+        } else {
+            // lcs[i * width + j] - длина LCS для хвостов a[start + i..] и b[start + j..]
+            const width = m + 1;
+            const lcs = new Uint32Array((n + 1) * width);
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lcs[i * width + j] = a[start + i] === b[start + j]
+                        ? lcs[(i + 1) * width + j + 1] + 1
+                        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < n || j < m) {
+                if (i < n && j < m && a[start + i] === b[start + j]) {
+                    push('same', a[start + i], start + i, start + j);
+                    i++;
+                    j++;
+                } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+                    // Удаленные строки идут перед добавленными, как в git diff
+                    push('removed', a[start + i], start + i, null);
+                    i++;
+                } else {
+                    push('added', b[start + j], null, start + j);
+                    j++;
+                }
+            }
+        }
+
+        for (let k = 0; k < a.length - endA; k++) push('same', a[endA + k], endA + k, endB + k);
+        return lines;
+    },
+
+    /**
+     * Фрагменты с правками и context строками вокруг; section - заголовок markdown над первой правкой
+     */
+    hunks(lines) {
+        const headings = [];
+        let section = '';
+        let inFence = false;
+        lines.forEach(line => {
+            if (/^\s*(```|~~~)/.test(line.text)) inFence = !inFence;
+            if (!inFence && line.type !== 'removed' && /^#{1,6}\s/.test(line.text)) {
+                section = line.text.replace(/^#+\s*/, '');
+            }
+            headings.push(section);
+        });
+
+        const hunks = [];
+        let hunk = null;
+        lines.forEach((line, index) => {
+            if (line.type === 'same') return;
+
+            const from = Math.max(0, index - this.context);
+            if (hunk && from <= hunk.end) {
+                hunk.end = Math.min(lines.length, index + this.context + 1);
+            } else {
+                hunk = { start: from, end: Math.min(lines.length, index + this.context + 1), section: headings[index] };
+                hunks.push(hunk);
+            }
+        });
+
+        return hunks.map(({ start, end, section: title }) => ({
+            section: title,
+            lines: lines.slice(start, end)
+        }));
+    },
+
+    renderDiff(lines, mode = 'inline') {
+        const added = lines.filter(line => line.type === 'added').length;
+        const removed = lines.filter(line => line.type === 'removed').length;
+        if (added === 0 && removed === 0) {
+            return `<p class="diff-empty"><i class="fas fa-check-circle"></i> ${i18n.t('versions.same')}</p>`;
+        }
+
+        const hunks = this.hunks(lines);
+        return `
+            <div class="diff-summary">
+                <span class="diff-count-added">+${added}</span>
+                <span class="diff-count-removed">&minus;${removed}</span>
+                <span>· ${i18n.t('versions.hunks', { count: hunks.length })}</span>
+            </div>
+            ${hunks.map(hunk => `
+                <div class="diff-hunk">
+                    <div class="diff-hunk-header">
+                        @@ ${this.range(hunk.lines, 'oldLine', '-')} ${this.range(hunk.lines, 'newLine', '+')} @@
+                        ${hunk.section ? `<span class="diff-section">${utils.escapeHtml(hunk.section)}</span>` : ''}
+                    </div>
+                    <table class="diff-table diff-${mode === 'split' ? 'split' : 'inline'}">
+                        <tbody>${mode === 'split' ? this.splitRows(hunk.lines) : this.inlineRows(hunk.lines)}</tbody>
+                    </table>
+                </div>
+            `).join('')}
+        `;
+    },
+
+    /**
+     * "-12,7" в заголовке фрагмента: первая строка и число строк стороны
+     */
+    range(lines, field, sign) {
+        const numbers = lines.map(line => line[field]).filter(Boolean);
+        return `${sign}${numbers[0] || 0},${numbers.length}`;
+    },
+
+    /**
+     * Пары удаленных и добавленных строк одной правки: в них подсвечивается измененная часть
+     */
+    pairs(lines) {
+        const rows = [];
+        for (let index = 0; index < lines.length;) {
+            if (lines[index].type === 'same') {
+                rows.push({ old: lines[index], new: lines[index] });
+                index++;
+                continue;
+            }
+
+            const removed = [];
+            const added = [];
+            while (index < lines.length && lines[index].type === 'removed') removed.push(lines[index++]);
+            while (index < lines.length && lines[index].type === 'added') added.push(lines[index++]);
+            for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+                rows.push({ old: removed[k] || null, new: added[k] || null });
+            }
+        }
+        return rows;
+    },
+
+    /**
+     * Общие начало и конец двух строк остаются как есть, середина выделяется
+     */
+    highlightChange(oldText, newText) {
+        let start = 0;
+        while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+        let end = 0;
+        while (end < oldText.length - start && end < newText.length - start
+            && oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) end++;
+
+        const mark = text => {
+            const middle = text.slice(start, text.length - end);
+            return utils.escapeHtml(text.slice(0, start))
+                + (middle ? `<span class="diff-word">${utils.escapeHtml(middle)}</span>` : '')
+                + utils.escapeHtml(text.slice(text.length - end));
+        };
+        return { old: mark(oldText), new: mark(newText) };
+    },
+
+    cells(row) {
+        if (row.old && row.new && row.old !== row.new) {
+            return this.highlightChange(row.old.text, row.new.text);
+        }
+        return {
+            old: row.old ? utils.escapeHtml(row.old.text) : '',
+            new: row.new ? utils.escapeHtml(row.new.text) : ''
+        };
+    },
+
+    inlineRows(lines) {
+        const line = (item, html, sign) => `
+            <tr class="diff-line diff-${item.type}">
+                <td class="diff-num">${item.oldLine || ''}</td>
+                <td class="diff-num">${item.newLine || ''}</td>
+                <td class="diff-code"><span class="diff-sign" aria-hidden="true">${sign}</span>${html}</td>
+            </tr>
+        `;
+
+        // Удаленные строки правки выводятся перед добавленными
+        const rows = [];
+        let removed = [];
+        let added = [];
+        const flush = () => {
+            rows.push(...removed, ...added);
+            removed = [];
+            added = [];
+        };
+
+        this.pairs(lines).forEach(row => {
+            const html = this.cells(row);
+            if (row.old === row.new) {
+                flush();
+                rows.push(line(row.old, html.old, ' '));
+                return;
+            }
+            if (row.old) removed.push(line(row.old, html.old, '-'));
+            if (row.new) added.push(line(row.new, html.new, '+'));
+        });
+        flush();
+
+        return rows.join('');
+    },
+
+    splitRows(lines) {
+        return this.pairs(lines).map(row => {
+            const html = this.cells(row);
+            const left = row.old
+                ? `<td class="diff-num">${row.old.oldLine}</td><td class="diff-code diff-${row.old.type}">${html.old}</td>`
+                : '<td class="diff-num"></td><td class="diff-code diff-blank"></td>';
+            const right = row.new
+                ? `<td class="diff-num">${row.new.newLine}</td><td class="diff-code diff-${row.new.type}">${html.new}</td>`
+                : '<td class="diff-num"></td><td class="diff-code diff-blank"></td>';
+            return `<tr class="diff-line">${left}${right}</tr>`;
+        }).join('');
+    }
+};
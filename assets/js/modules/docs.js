@@ -0,0 +1,8 @@
+/**
+ * Manus Gateway Documentation Website
+ * Тексты загруженных документов docs/*.md
+ */
+
+// ==================== Тексты документов ====================
+// Ключи - ID из docs/manifest.json, null - документ не загружен
+export const docs = {};
@@ -0,0 +1,140 @@
+/**
+ * Manus Gateway Documentation Website
+ * Локализация интерфейса
+ */
+
+import { translations } from './translations.js';
+import { utils } from './utils.js';
+
+// ==================== Локализация ====================
+export const i18n = {
+    storageKey: 'manusDocs.locale',
+    fallback: 'ru',
+    locale: 'ru',
+
+    // Язык интерфейса -> тег для дат и чисел
+    tags: {
+        ru: 'ru-RU',
+        en: 'en-US'
+    },
+
+    // Атрибуты, которые переводятся через data-i18n-<атрибут>
+    attributes: ['placeholder', 'aria-label', 'title'],
+
+    // Исходная разметка элементов: используется, если ключа нет в каталоге
+    // (русский текст index.html хранится только в разметке)
+    originals: new WeakMap(),
+
+    init() {
+        const saved = localStorage.getItem(this.storageKey);
+        const preferred = (navigator.language || '').slice(0, 2);
+        this.locale = [saved, preferred].find(locale => translations[locale]) || this.fallback;
+
+        document.querySelectorAll('[data-locale]').forEach(button => {
+            button.addEventListener('click', () => this.setLocale(button.getAttribute('data-locale')));
+        });
+
+        this.apply(document);
+    },
+
+    /**
+     * Сообщение из каталога с подстановкой {параметров}
+     */
+    t(key, params = {}) {
+        const message = translations[this.locale]?.[key] ?? translations[this.fallback][key] ?? key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    /**
+     * Тег языка для toLocaleString и Intl
+     */
+    tag() {
+        return this.tags[this.locale];
+    },
+
+    /**
+     * Смена языка: разметка переводится сразу, модули перерисовываются по событию localechange
+     */
+    setLocale(locale) {
+        if (!translations[locale] || locale === this.locale) return;
+
+        this.locale = locale;
+        localStorage.setItem(this.storageKey, locale);
+        this.apply(document);
+        document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+    },
+
+    /**
+     * Перевод элементов с data-i18n и data-i18n-<атрибут> внутри root.
+     * Так же переводится и разметка, которую строят модули: состояние форм сохраняется
+     */
+    apply(root) {
+        document.documentElement.lang = this.locale;
+
+        root.querySelectorAll('[data-locale]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-locale') === this.locale));
+        });
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const original = this.original(element);
+            const key = element.getAttribute('data-i18n');
+            this.setContent(element, translations[this.locale][key] ?? original.html);
+        });
+
+        const selector = this.attributes.map(name => `[data-i18n-${name}]`).join(', ');
+        root.querySelectorAll(selector).forEach(element => {
+            const original = this.original(element);
+            this.attributes.forEach(name => {
+                const key = element.getAttribute(`data-i18n-${name}`);
+                if (!key) return;
+                element.setAttribute(name, translations[this.locale][key] ?? original[name]);
+            });
+        });
+    },
+
+    /**
+     * Первое обращение запоминает русский текст элемента и его атрибутов
+     */
+    original(element) {
+        if (!this.originals.has(element)) {
+            const original = { html: this.split(element).content.map(node => node.outerHTML ?? utils.escapeHtml(node.textContent)).join('').trim() };
+            this.attributes.forEach(name => {
+                original[name] = element.getAttribute(name);
+            });
+            this.originals.set(element, original);
+        }
+        return this.originals.get(element);
+    },
+
+    /**
+     * Иконки и поля ввода по краям элемента сохраняются, переводится только текст между ними
+     */
+    split(element) {
+        const nodes = Array.from(element.childNodes);
+        const isFixed = node => node.nodeType === Node.ELEMENT_NODE && node.matches('i, input');
+        const isSkipped = node => isFixed(node) || (node.nodeType === Node.TEXT_NODE && !node.textContent.trim());
+
+        let start = 0;
+        while (start < nodes.length && isSkipped(nodes[start])) start++;
+        let end = nodes.length;
+        while (end > start && isSkipped(nodes[end - 1])) end--;
+
+        return {
+            leading: nodes.slice(0, start).filter(isFixed),
+            content: nodes.slice(start, end),
+            trailing: nodes.slice(end).filter(isFixed)
+        };
+    },
+
+    setContent(element, html) {
+        const { leading, trailing } = this.split(element);
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        element.replaceChildren(
+            ...leading, ...(leading.length ? [' '] : []),
+            template.content,
+            ...(trailing.length ? [' '] : []), ...trailing
+        );
+    }
+};
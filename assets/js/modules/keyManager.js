@@ -0,0 +1,436 @@
+/**
+ * Manus Gateway Documentation Website
+ * Менеджер ключей и окружений
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { mockGateway } from './mockGateway.js';
+import { webhookPlayground } from './webhookPlayground.js';
+import { apiConsole } from './apiConsole.js';
+
+// ==================== Менеджер ключей ====================
+export const keyManager = {
+    dbName: 'manusDocs',
+    dbVersion: 1,
+    activeKey: 'manusDocs.environment',
+    // Формат из раздела "API Key Format"
+    keyPattern: /^manus_[0-9a-f]{64}$/,
+    iterations: 310000,
+    checkText: 'manus-docs-vault',
+
+    db: null,
+    meta: null,
+    environments: [],
+    // Ключ шифрования и расшифрованные ключи живут только в памяти страницы
+    cryptoKey: null,
+    secrets: new Set(),
+
+    async init() {
+        const panel = document.getElementById('keyManager');
+        if (!panel) return;
+
+        if (!this.isSupported()) {
+            this.setStatus(i18n.t('keys.unsupported'), 'error');
+            panel.querySelectorAll('input, button').forEach(element => {
+                element.disabled = true;
+            });
+            document.getElementById('keyManagerUnlock').hidden = true;
+            return;
+        }
+
+        document.getElementById('keyManagerUnlock').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('keyManagerPassphrase');
+            this.unlock(input.value).then(() => {
+                input.value = '';
+            });
+        });
+        document.getElementById('keyManagerLock').addEventListener('click', () => this.lock());
+        document.getElementById('keyManagerForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveFromForm(e.target);
+        });
+        document.getElementById('keyManagerForget').addEventListener('click', () => this.forget());
+        document.addEventListener('localechange', () => this.render());
+
+        document.getElementById('keyManagerEnvironments').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const id = button.closest('[data-environment]').getAttribute('data-environment');
+            if (button.getAttribute('data-action') === 'use') {
+                this.activate(id);
+            } else {
+                this.remove(id);
+            }
+        });
+
+        try {
+            this.db = await this.openDb();
+            this.meta = await this.read('vault', 'meta');
+            this.environments = await this.read('environments');
+        } catch (error) {
+            console.error('Ошибка открытия хранилища ключей:', error);
+            this.setStatus(i18n.t('keys.openFailed'), 'error');
+        }
+        this.render();
+    },
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && !!crypto.subtle;
+    },
+
+    isValidKey(key) {
+        return this.keyPattern.test(key);
+    },
+
+    /**
+     * Проверка ключа перед использованием: сообщение об ошибке или null
+     */
+    validateKey(key) {
+        if (!key) return i18n.t('keys.noKey');
+        if (!this.isValidKey(key)) {
+            return i18n.t('keys.invalidKey');
+        }
+        return null;
+    },
+
+    /**
+     * Маска ключа: manus_2dc7…5ddb
+     */
+    mask(key) {
+        return key.length > 14 ? `${key.slice(0, 10)}…${key.slice(-4)}` : '••••••';
+    },
+
+    /**
+     * Замена известных ключей на маски в тексте для вывода и копирования.
+     * Примеры ключей из документации не трогаем - маскируются только ключи пользователя
+     */
+    redact(text) {
+        if (!text) return text;
+
+        const keys = new Set(this.secrets);
+        if (apiConsole.settings.apiKey) {
+            keys.add(apiConsole.settings.apiKey);
+        }
+
+        let result = String(text);
+        keys.forEach(key => {
+            if (key.length >= 8) {
+                result = result.split(key).join(this.mask(key));
+            }
+        });
+        return result;
+    },
+
+    // ==================== IndexedDB ====================
+    openDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('vault', { keyPath: 'id' });
+                request.result.createObjectStore('environments', { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // "Забыть всё" в другой вкладке удаляет базу - освобождаем соединение
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
+                    this.meta = null;
+                    this.environments = [];
+                    this.lock();
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Запись по id или все записи хранилища
+     */
+    read(storeName, id) {
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(storeName).objectStore(storeName);
+            const request = id ? store.get(id) : store.getAll();
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    write(storeName, value, remove = false) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            if (remove) {
+                store.delete(value);
+            } else {
+                store.put(value);
+            }
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // ==================== Шифрование ====================
+    /**
+     * AES-GCM ключ из парольной фразы (PBKDF2, SHA-256)
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    async encrypt(text, key = this.cryptoKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv, data: new Uint8Array(data) };
+    },
+
+    async decrypt(payload, key = this.cryptoKey) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: payload.iv }, key, payload.data);
+        return new TextDecoder().decode(data);
+    },
+
+    // ==================== Действия ====================
+    /**
+     * Первая разблокировка создает хранилище с этой парольной фразой
+     */
+    async unlock(passphrase) {
+        if (passphrase.length < 8) {
+            this.setStatus(i18n.t('keys.shortPassphrase'), 'error');
+            return;
+        }
+
+        try {
+            if (!this.meta) {
+                const salt = crypto.getRandomValues(new Uint8Array(16));
+                const key = await this.deriveKey(passphrase, salt, this.iterations);
+                this.meta = { id: 'meta', salt, iterations: this.iterations, check: await this.encrypt(this.checkText, key) };
+                await this.write('vault', this.meta);
+                this.cryptoKey = key;
+            } else {
+                const key = await this.deriveKey(passphrase, this.meta.salt, this.meta.iterations);
+                // AES-GCM не расшифрует проверочную строку чужим ключом
+                await this.decrypt(this.meta.check, key);
+                this.cryptoKey = key;
+            }
+        } catch (error) {
+            this.setStatus(i18n.t('keys.wrongPassphrase'), 'error');
+            return;
+        }
+
+        this.setStatus('');
+        this.render();
+
+        const activeId = localStorage.getItem(this.activeKey);
+        if (activeId && this.environments.some(environment => environment.id === activeId)) {
+            await this.activate(activeId);
+        }
+    },
+
+    lock() {
+        this.cryptoKey = null;
+        this.secrets.clear();
+        apiConsole.updateSetting('apiKey', '');
+        this.setStatus('');
+        this.render();
+    },
+
+    async saveFromForm(form) {
+        const name = form.elements.name.value.trim();
+        const baseUrl = form.elements.baseUrl.value.trim().replace(/\/$/, '');
+        const apiKey = form.elements.apiKey.value.trim();
+
+        if (!this.cryptoKey) {
+            this.setStatus(i18n.t('keys.locked'), 'error');
+            return;
+        }
+        if (!name) {
+            this.setStatus(i18n.t('keys.noName'), 'error');
+            return;
+        }
+        try {
+            new URL(baseUrl);
+        } catch (error) {
+            this.setStatus(i18n.t('keys.invalidBaseUrl'), 'error');
+            return;
+        }
+        const keyError = this.validateKey(apiKey);
+        if (keyError) {
+            this.setStatus(keyError, 'error');
+            return;
+        }
+
+        // Окружение с тем же названием перезаписывается
+        const existing = this.environments.find(environment => environment.name === name);
+        const environment = {
+            id: existing ? existing.id : mockGateway.generateUuid().replace('TASK-', 'ENV-'),
+            name,
+            baseUrl,
+            key: await this.encrypt(apiKey),
+            hint: this.mask(apiKey)
+        };
+        await this.write('environments', environment);
+        this.environments = this.environments.filter(item => item.id !== environment.id).concat(environment);
+        this.secrets.add(apiKey);
+
+        form.reset();
+        this.setStatus(i18n.t('keys.saved', { name: utils.escapeHtml(name) }), 'success');
+        this.render();
+    },
+
+    /**
+     * Подстановка окружения в консоль, дашборд и примеры
+     */
+    async activate(id) {
+        const environment = this.environments.find(item => item.id === id);
+        if (!environment) return;
+        if (!this.cryptoKey) {
+            this.setStatus(i18n.t('keys.lockedUse'), 'error');
+            return;
+        }
+
+        let apiKey;
+        try {
+            apiKey = await this.decrypt(environment.key);
+        } catch (error) {
+            this.setStatus(i18n.t('keys.decryptFailed', { name: utils.escapeHtml(environment.name) }), 'error');
+            return;
+        }
+        const keyError = this.validateKey(apiKey);
+        if (keyError) {
+            this.setStatus(keyError, 'error');
+            return;
+        }
+
+        this.secrets.add(apiKey);
+        localStorage.setItem(this.activeKey, id);
+
+        // Реальное окружение - запросы уходят на сервер, а не в Mock Gateway
+        apiConsole.setMockEnabled(false);
+        apiConsole.updateSetting('baseUrl', environment.baseUrl);
+        apiConsole.updateSetting('apiKey', apiKey);
+
+        this.setStatus(i18n.t('keys.activated', { name: utils.escapeHtml(environment.name) }), 'success');
+        this.render();
+    },
+
+    async remove(id) {
+        const environment = this.environments.find(item => item.id === id);
+        if (!environment || !confirm(i18n.t('keys.removeConfirm', { name: environment.name }))) return;
+
+        try {
+            await this.write('environments', id, true);
+        } catch (error) {
+            console.error('Ошибка удаления окружения:', error);
+            this.setStatus(i18n.t('keys.removeFailed', { name: utils.escapeHtml(environment.name) }), 'error');
+            return;
+        }
+        this.environments = this.environments.filter(environment => environment.id !== id);
+        if (localStorage.getItem(this.activeKey) === id) {
+            localStorage.removeItem(this.activeKey);
+        }
+        this.render();
+    },
+
+    /**
+     * Удаление хранилища и всех сохраненных на странице адресов и секретов
+     */
+    async forget() {
+        if (!confirm(i18n.t('keys.forgetConfirm'))) return;
+
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        await new Promise(resolve => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = request.onerror = () => resolve();
+        });
+
+        [this.activeKey, apiConsole.storageKey, webhookPlayground.storageKey].forEach(key => localStorage.removeItem(key));
+        this.meta = null;
+        this.environments = [];
+        this.cryptoKey = null;
+        this.secrets.clear();
+
+        apiConsole.updateSetting('apiKey', '');
+        webhookPlayground.settings.secret = '';
+        const webhookSecret = document.getElementById('webhookSecret');
+        if (webhookSecret) {
+            webhookSecret.value = '';
+        }
+
+        this.db = await this.openDb();
+        this.setStatus(i18n.t('keys.forgotten'), 'success');
+        this.render();
+    },
+
+    // ==================== Отображение ====================
+    setStatus(html, level = '') {
+        document.getElementById('keyManagerStatus').innerHTML = html
+            ? `<div class="console-status ${level}">${html}</div>`
+            : '';
+    },
+
+    render() {
+        const unlocked = !!this.cryptoKey;
+        const activeId = localStorage.getItem(this.activeKey);
+
+        document.getElementById('keyManagerState').innerHTML = unlocked
+            ? `<i class="fas fa-lock-open"></i> ${i18n.t('keys.unlocked')}`
+            : `<i class="fas fa-lock"></i> ${i18n.t(this.meta ? 'keys.lockedState' : 'keys.noVault')}`;
+        document.getElementById('keyManagerUnlockButton').innerHTML = this.meta
+            ? `<i class="fas fa-unlock"></i> ${i18n.t('keys.unlock')}`
+            : `<i class="fas fa-plus"></i> ${i18n.t('keys.create')}`;
+        document.getElementById('keyManagerUnlock').hidden = unlocked;
+        document.getElementById('keyManagerLock').hidden = !unlocked;
+        document.getElementById('keyManagerForm').hidden = !unlocked;
+
+        const list = document.getElementById('keyManagerEnvironments');
+        if (this.environments.length === 0) {
+            list.innerHTML = `<p class="key-manager-empty">${i18n.t('keys.empty')}</p>`;
+            return;
+        }
+
+        list.innerHTML = this.environments
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(environment => `
+                <div class="key-manager-environment${environment.id === activeId ? ' active' : ''}" data-environment="${utils.escapeHtml(environment.id)}">
+                    <div class="key-manager-environment-info">
+                        <strong>${utils.escapeHtml(environment.name)}</strong>
+                        <code>${utils.escapeHtml(environment.baseUrl)}</code>
+                        <code class="key-manager-hint">${utils.escapeHtml(environment.hint)}</code>
+                    </div>
+                    <button class="btn btn-primary btn-sm" data-action="use"${unlocked ? '' : ' disabled'}>
+                        <i class="fas fa-check"></i> ${i18n.t(environment.id === activeId ? 'keys.active' : 'keys.use')}
+                    </button>
+                    <button class="control-btn" data-action="remove">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+
+        // Название задает пользователь, поэтому подпись ставится через setAttribute, а не в разметку
+        list.querySelectorAll('[data-environment]').forEach(element => {
+            const environment = this.environments.find(item => item.id === element.getAttribute('data-environment'));
+            element.querySelector('[data-action="remove"]').setAttribute('aria-label', i18n.t('keys.remove', { name: environment.name }));
+        });
+    }
+};
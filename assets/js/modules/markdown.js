@@ -0,0 +1,224 @@
+/**
+ * Manus Gateway Documentation Website
+ * Рендеринг Markdown и его расширения
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+
+// ==================== Markdown ====================
+export const markdown = {
+    configured: false,
+
+    // Разрешенные теги и атрибуты - все остальное вырезается
+    allowedTags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'details', 'div', 'em',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'kbd', 'li',
+        'mark', 'ol', 'p', 'pre', 's', 'span', 'strong', 'sub', 'summary', 'sup',
+        'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+    ],
+    allowedAttributes: ['href', 'title', 'alt', 'src', 'class', 'align', 'start', 'open', 'colspan', 'rowspan', 'type', 'checked', 'disabled'],
+    // Теги, которые удаляются вместе с содержимым
+    droppedTags: ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'form', 'textarea', 'select', 'button', 'svg', 'math'],
+
+    // Заголовки врезок берутся из каталога: callout.<вид>
+    callouts: {
+        note: { icon: 'fa-info-circle' },
+        tip: { icon: 'fa-lightbulb' },
+        important: { icon: 'fa-exclamation-circle' },
+        warning: { icon: 'fa-exclamation-triangle' },
+        caution: { icon: 'fa-radiation' }
+    },
+    // Блоки кода длиннее этого числа строк сворачиваются в <details>
+    collapseLines: 60,
+
+    /**
+     * Markdown -> безопасный HTML
+     */
+    render(content) {
+        if (typeof marked === 'undefined') {
+            // Fallback - простое форматирование
+            return `<p>${utils.escapeHtml(content).replace(/\n/g, '<br>')}</p>`;
+        }
+
+        this.configure();
+        return this.sanitize(marked.parse(content));
+    },
+
+    configure() {
+        if (this.configured) return;
+        this.configured = true;
+
+        const self = this;
+        marked.use({
+            extensions: [{
+                // :::note / :::warning / :::details Заголовок / :::endpoint METHOD /path Название
+                name: 'container',
+                level: 'block',
+                start(src) {
+                    const match = src.match(/^:::\w/m);
+                    return match ? match.index : undefined;
+                },
+                tokenizer(src) {
+                    const match = /^:::(\w+)[ \t]*([^\n]*)\n([\s\S]*?)\n:::[ \t]*(?:\n+|$)/.exec(src);
+                    if (!match) return undefined;
+
+                    const token = {
+                        type: 'container',
+                        raw: match[0],
+                        kind: match[1].toLowerCase(),
+                        args: match[2].trim(),
+                        tokens: []
+                    };
+                    this.lexer.blockTokens(match[3], token.tokens);
+                    return token;
+                },
+                renderer(token) {
+                    return self.renderContainer(token.kind, token.args, this.parser.parse(token.tokens));
+                }
+            }, {
+                // Строка документации **Endpoint:** `POST /api/v1/tasks` - карточка как на главной
+                name: 'endpointLine',
+                level: 'block',
+                start(src) {
+                    const match = src.match(/^\*\*Endpoint:\*\*/m);
+                    return match ? match.index : undefined;
+                },
+                tokenizer(src) {
+                    const match = /^\*\*Endpoint:\*\*[ \t]*`([A-Z]+)[ \t]+([^`\s]+)`[ \t]*(?:\n+|$)/.exec(src);
+                    if (!match) return undefined;
+                    return { type: 'endpointLine', raw: match[0], args: `${match[1]} ${match[2]}` };
+                },
+                renderer(token) {
+                    return self.renderContainer('endpoint', token.args, '');
+                }
+            }],
+            renderer: {
+                // Длинные примеры кода сворачиваются, документы в docs/ остаются обычным Markdown
+                code(code, language, escaped) {
+                    const html = marked.Renderer.prototype.code.call(this, code, language, escaped);
+                    const lines = code.split('\n').length;
+                    if (lines <= self.collapseLines) return html;
+
+                    const summary = i18n.t('callout.longCode', { language: (language || '').split(/\s/)[0] || 'text', count: lines });
+                    return self.renderContainer('details', summary, html);
+                },
+                // GitHub-синтаксис: > [!NOTE]
+                blockquote(quote) {
+                    const match = quote.match(/^\s*<p>\[!(\w+)\]\s*/);
+                    if (!match || !self.callouts[match[1].toLowerCase()]) return false;
+
+                    // Маркер мог занимать отдельный абзац - убираем пустой <p>
+                    const body = `<p>${quote.slice(match[0].length)}`.replace(/^<p>\s*<\/p>\s*/, '');
+                    return self.renderContainer(match[1].toLowerCase(), '', body);
+                }
+            }
+        });
+    },
+
+    renderContainer(kind, args, body) {
+        const callout = this.callouts[kind];
+        if (callout) {
+            return `
+                <div class="callout callout-${kind}">
+                    <div class="callout-title"><i class="fas ${callout.icon}"></i> ${utils.escapeHtml(args || i18n.t(`callout.${kind}`))}</div>
+                    ${body}
+                </div>
+            `;
+        }
+
+        if (kind === 'details') {
+            return `<details class="doc-details"><summary>${utils.escapeHtml(args || i18n.t('callout.details'))}</summary>${body}</details>\n`;
+        }
+
+        if (kind === 'endpoint') {
+            const [method = 'GET', path = '', ...title] = args.split(/\s+/);
+            return `
+                <div class="endpoint-card">
+                    <div class="endpoint-header">
+                        <span class="http-method ${utils.escapeHtml(method.toLowerCase())}">${utils.escapeHtml(method.toUpperCase())}</span>
+                        <code>${utils.escapeHtml(path)}</code>
+                        ${title.length ? `<span class="endpoint-title">${utils.escapeHtml(title.join(' '))}</span>` : ''}
+                    </div>
+                    ${body ? `<div class="endpoint-body">${body}</div>` : ''}
+                </div>
+            `;
+        }
+
+        // Неизвестный контейнер - просто содержимое
+        return body;
+    },
+
+    /**
+     * Очистка HTML по списку разрешенных тегов и атрибутов
+     */
+    sanitize(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.sanitizeNode(template.content);
+        return template.innerHTML;
+    },
+
+    sanitizeNode(node) {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.COMMENT_NODE) {
+                child.remove();
+                return;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = child.tagName.toLowerCase();
+            if (this.droppedTags.includes(tag)) {
+                child.remove();
+                return;
+            }
+
+            this.sanitizeNode(child);
+
+            // Неразрешенный тег заменяется своим содержимым
+            if (!this.allowedTags.includes(tag)) {
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+
+            // Из input остаются только чекбоксы списка задач
+            if (tag === 'input' && child.getAttribute('type') !== 'checkbox') {
+                child.remove();
+                return;
+            }
+
+            Array.from(child.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const allowed = this.allowedAttributes.includes(name)
+                    && (!['href', 'src'].includes(name) || this.isSafeUrl(attribute.value));
+                if (!allowed) {
+                    child.removeAttribute(attribute.name);
+                }
+            });
+
+            if (tag === 'input') {
+                child.setAttribute('disabled', '');
+            }
+            if (tag === 'a' && /^https?:/i.test(child.getAttribute('href') || '')) {
+                child.setAttribute('target', '_blank');
+                child.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    },
+
+    isSafeUrl(url) {
+        const value = url.replace(/[\u0000- ]/g, '').toLowerCase();
+        return !/^[a-z][a-z0-9+.-]*:/.test(value) || /^(https?|mailto):/.test(value);
+    },
+
+    /**
+     * Раскрывает свернутые <details> вокруг элемента
+     */
+    reveal(element) {
+        let details = element.closest('details');
+        while (details) {
+            details.open = true;
+            details = details.parentElement.closest('details');
+        }
+    }
+};
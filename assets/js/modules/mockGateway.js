@@ -0,0 +1,279 @@
+/**
+ * Manus Gateway Documentation Website
+ * Офлайн-реализация /api/v1/tasks
+ */
+
+// ==================== Mock Gateway ====================
+export const mockGateway = {
+    storageKey: 'manusDocs.mock',
+    enabled: false,
+    demoApiKey: 'manus_' + '0123456789abcdef'.repeat(4),
+    forcedError: null,
+    tasks: [],
+    requestLog: {},
+
+    // Rate limit из раздела "Rate Limiting"
+    rateLimit: 100,
+    rateWindow: 60000,
+
+    // Сокращённая версия "Typical Timeline" из API_GUIDE.md
+    lifecycle: [
+        { status: 'pending', after: 0 },
+        { status: 'sent', after: 2000 },
+        { status: 'processing', after: 5000 },
+        { status: null, after: 15000 }
+    ],
+
+    statuses: ['pending', 'sent', 'processing', 'completed', 'failed'],
+
+    errors: {
+        400: 'Bad Request',
+        401: 'Unauthorized',
+        404: 'Not Found',
+        429: 'Too Many Requests',
+        500: 'Internal Server Error'
+    },
+
+    init() {
+        this.seed();
+        this.install();
+        this.enabled = localStorage.getItem(this.storageKey) === 'on';
+    },
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(this.storageKey, enabled ? 'on' : 'off');
+    },
+
+    /**
+     * Примеры задач из документации
+     */
+    seed() {
+        const now = Date.now();
+        const samples = [
+            ['TASK-A54CC3B465D47616', 'Analyze the latest trends in AI development', 'completed'],
+            ['TASK-B7E3947FE2EC9B79', 'Create a marketing plan', 'processing'],
+            ['TASK-C1D2E3F405A6B7C8', 'Summarize the attached document', 'completed'],
+            ['TASK-D9E8F7A6B5C4D3E2', 'Analyze dataset A', 'sent'],
+            ['TASK-E1F2A3B4C5D6E7F8', 'Analyze dataset B', 'failed'],
+            ['TASK-F0E1D2C3B4A59687', 'Analyze dataset C', 'pending']
+        ];
+
+        this.tasks = samples.map(([taskUuid, prompt, status], index) => ({
+            taskUuid,
+            prompt,
+            fixedStatus: status,
+            createdAt: now - (index + 1) * 3600000
+        }));
+    },
+
+    /**
+     * Перехват window.fetch для запросов к /api/v1/tasks
+     */
+    install() {
+        const originalFetch = window.fetch.bind(window);
+
+        window.fetch = (input, init = {}) => {
+            const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+            if (!this.enabled || !url.pathname.startsWith('/api/v1/tasks')) {
+                return originalFetch(input, init);
+            }
+
+            const latency = 150 + Math.random() * 250;
+            return new Promise(resolve => {
+                setTimeout(() => resolve(this.handle(url, init)), latency);
+            });
+        };
+    },
+
+    handle(url, init) {
+        const method = (init.method || 'GET').toUpperCase();
+        const headers = new Headers(init.headers || {});
+        const apiKey = headers.get('X-API-Key');
+
+        if (!apiKey || !/^manus_[0-9a-f]{64}$/.test(apiKey)) {
+            return this.error(401, 'Invalid or missing API key');
+        }
+
+        const rateHeaders = this.consumeRateLimit(apiKey);
+        if (!rateHeaders) {
+            return this.error(429, `Rate limit exceeded. Please try again in ${this.retryAfter(apiKey)} seconds.`);
+        }
+
+        if (this.forcedError) {
+            const status = this.forcedError;
+            this.forcedError = null;
+            if (status === 429) {
+                return this.error(429, `Rate limit exceeded. Please try again in ${Math.ceil(this.rateWindow / 1000)} seconds.`);
+            }
+            return this.error(status, 'Unexpected server-side error');
+        }
+
+        const match = url.pathname.match(/^\/api\/v1\/tasks\/?([^/]*)$/);
+        if (!match) {
+            return this.error(404, 'Route not found', rateHeaders);
+        }
+
+        const taskUuid = decodeURIComponent(match[1]);
+        if (method === 'POST' && !taskUuid) {
+            return this.createTask(init.body, rateHeaders);
+        }
+        if (method === 'GET' && taskUuid) {
+            return this.getTask(taskUuid, rateHeaders);
+        }
+        if (method === 'GET') {
+            return this.listTasks(url.searchParams, rateHeaders);
+        }
+
+        return this.error(404, 'Route not found', rateHeaders);
+    },
+
+    createTask(rawBody, headers) {
+        let body;
+        try {
+            body = JSON.parse(rawBody || '{}');
+        } catch (err) {
+            return this.error(400, 'Request body must be valid JSON', headers);
+        }
+
+        const prompt = typeof body.prompt === 'string' ? body.prompt.trim() : '';
+        if (!prompt) {
+            return this.error(400, 'Prompt is required', headers);
+        }
+        if (prompt.length > 10000) {
+            return this.error(400, 'Prompt exceeds maximum length of 10,000 characters', headers);
+        }
+
+        const task = {
+            taskUuid: this.generateUuid(),
+            prompt,
+            fixedStatus: null,
+            createdAt: Date.now()
+        };
+        this.tasks.unshift(task);
+
+        return this.json(200, {
+            success: true,
+            data: {
+                taskUuid: task.taskUuid,
+                status: 'pending',
+                message: 'Task created successfully and email sent to Manus'
+            }
+        }, headers);
+    },
+
+    getTask(taskUuid, headers) {
+        const task = this.tasks.find(t => t.taskUuid === taskUuid);
+        if (!task) {
+            return this.error(404, 'Task not found', headers);
+        }
+
+        return this.json(200, { success: true, data: this.serialize(task) }, headers);
+    },
+
+    listTasks(params, headers) {
+        const page = params.has('page') ? Number(params.get('page')) : 1;
+        const limit = params.has('limit') ? Number(params.get('limit')) : 25;
+        const status = params.get('status');
+
+        if (!Number.isInteger(page) || page < 1) {
+            return this.error(400, 'Page must be a positive integer', headers);
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return this.error(400, 'Limit must be an integer between 1 and 100', headers);
+        }
+        if (status && !this.statuses.includes(status)) {
+            return this.error(400, `Invalid status. Expected one of: ${this.statuses.join(', ')}`, headers);
+        }
+
+        const all = this.tasks
+            .map(task => this.serialize(task))
+            .filter(task => !status || task.status === status);
+
+        return this.json(200, {
+            success: true,
+            data: {
+                tasks: all.slice((page - 1) * limit, page * limit),
+                pagination: {
+                    page,
+                    limit,
+                    total: all.length,
+                    totalPages: Math.ceil(all.length / limit)
+                }
+            }
+        }, headers);
+    },
+
+    /**
+     * Текущее состояние задачи по времени с момента создания
+     */
+    serialize(task) {
+        let status = task.fixedStatus;
+        let updatedAt = task.createdAt;
+
+        if (!status) {
+            const elapsed = Date.now() - task.createdAt;
+            const stage = [...this.lifecycle].reverse().find(s => elapsed >= s.after);
+            // Промпт со словом "fail" завершается ошибкой
+            status = stage.status || (/fail/i.test(task.prompt) ? 'failed' : 'completed');
+            updatedAt = task.createdAt + stage.after;
+        } else if (status !== 'pending') {
+            updatedAt = task.createdAt + 15 * 60000;
+        }
+
+        return {
+            taskUuid: task.taskUuid,
+            prompt: task.prompt,
+            status,
+            result: status === 'completed'
+                ? `## Mock result\n\nThis is a simulated response for: **${task.prompt}**`
+                : null,
+            errorMessage: status === 'failed' ? 'Manus could not complete the task (simulated failure)' : null,
+            createdAt: new Date(task.createdAt).toISOString(),
+            updatedAt: new Date(updatedAt).toISOString()
+        };
+    },
+
+    consumeRateLimit(apiKey) {
+        const now = Date.now();
+        const log = (this.requestLog[apiKey] || []).filter(time => now - time < this.rateWindow);
+        this.requestLog[apiKey] = log;
+
+        if (log.length >= this.rateLimit) {
+            return null;
+        }
+
+        log.push(now);
+        return {
+            'X-RateLimit-Limit': String(this.rateLimit),
+            'X-RateLimit-Remaining': String(this.rateLimit - log.length),
+            'X-RateLimit-Reset': String(Math.ceil((log[0] + this.rateWindow) / 1000))
+        };
+    },
+
+    retryAfter(apiKey) {
+        const oldest = this.requestLog[apiKey][0];
+        return Math.max(1, Math.ceil((oldest + this.rateWindow - Date.now()) / 1000));
+    },
+
+    generateUuid() {
+        const bytes = crypto.getRandomValues(new Uint8Array(8));
+        return 'TASK-' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+    },
+
+    error(status, message, headers = {}) {
+        return this.json(status, { error: this.errors[status], message }, headers);
+    },
+
+    json(status, body, headers = {}) {
+        return new Response(JSON.stringify(body), {
+            status,
+            statusText: status === 200 ? 'OK' : this.errors[status],
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'X-Mock-Gateway': 'true',
+                ...headers
+            }
+        });
+    }
+};
@@ -0,0 +1,108 @@
+/**
+ * Manus Gateway Documentation Website
+ * Модальные окна
+ */
+
+import { router } from './router.js';
+
+// ==================== Modal ====================
+export const modal = {
+    currentModal: null,
+    // Открыто через роутер - при закрытии возвращаем URL назад
+    routed: false,
+    // Элемент, на который вернется фокус после закрытия
+    returnFocus: null,
+
+    focusable: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])',
+
+    open(modalId) {
+        const modalElement = document.getElementById(modalId);
+        if (modalElement) {
+            this.returnFocus = document.activeElement;
+            modalElement.classList.add('active');
+            this.currentModal = modalElement;
+            document.body.style.overflow = 'hidden';
+
+            const [first] = this.focusableIn(modalElement);
+            if (first) {
+                first.focus();
+            }
+        }
+    },
+
+    close() {
+        if (this.currentModal) {
+            this.currentModal.classList.remove('active');
+            this.currentModal = null;
+            document.body.style.overflow = '';
+
+            if (this.returnFocus && document.contains(this.returnFocus)) {
+                this.returnFocus.focus();
+            }
+            this.returnFocus = null;
+
+            if (this.routed) {
+                this.routed = false;
+                router.back();
+            }
+        }
+    },
+
+    /**
+     * Видимые элементы окна, доступные с клавиатуры
+     */
+    focusableIn(element) {
+        return Array.from(element.querySelectorAll(this.focusable))
+            .filter(item => !item.closest('[hidden], .tab-content:not(.active)'));
+    },
+
+    /**
+     * Tab и Shift+Tab не выходят за пределы открытого окна
+     */
+    trapFocus(e) {
+        const items = this.focusableIn(this.currentModal);
+        if (items.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = items[0];
+        const last = items[items.length - 1];
+        const inside = this.currentModal.contains(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    init() {
+        // Закрытие по клику на крестик
+        document.querySelectorAll('.modal .close').forEach(closeBtn => {
+            closeBtn.addEventListener('click', () => this.close());
+        });
+
+        // Закрытие по клику вне модального окна
+        document.querySelectorAll('.modal').forEach(modalElement => {
+            modalElement.addEventListener('click', (e) => {
+                if (e.target === modalElement) {
+                    this.close();
+                }
+            });
+        });
+
+        // Закрытие по ESC, фокус остается внутри окна
+        document.addEventListener('keydown', (e) => {
+            if (!this.currentModal) return;
+
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+    }
+};
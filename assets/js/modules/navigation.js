@@ -0,0 +1,74 @@
+/**
+ * Manus Gateway Documentation Website
+ * Навигация и мобильное меню
+ */
+
+import { utils } from './utils.js';
+
+// ==================== Навигация ====================
+export const navigation = {
+    init() {
+        // Мобильное меню
+        const navToggle = document.getElementById('navToggle');
+        const navMenu = document.getElementById('navMenu');
+
+        if (navToggle && navMenu) {
+            navToggle.addEventListener('click', () => {
+                navToggle.classList.toggle('active');
+                const expanded = navMenu.classList.toggle('active');
+                navToggle.setAttribute('aria-expanded', String(expanded));
+            });
+
+            // Закрытие меню при клике на ссылку
+            const navLinks = navMenu.querySelectorAll('.nav-link');
+            navLinks.forEach(link => {
+                link.addEventListener('click', () => {
+                    navToggle.classList.remove('active');
+                    navMenu.classList.remove('active');
+                    navToggle.setAttribute('aria-expanded', 'false');
+                });
+            });
+        }
+
+        // Активная ссылка при скролле
+        const sections = document.querySelectorAll('section[id]');
+        const navLinks = document.querySelectorAll('.nav-link');
+
+        const observerOptions = {
+            root: null,
+            rootMargin: '-80px',
+            threshold: 0.3
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const id = entry.target.getAttribute('id');
+                    navLinks.forEach(link => {
+                        link.classList.remove('active');
+                        if (link.getAttribute('href') === `#${id}`) {
+                            link.classList.add('active');
+                        }
+                    });
+                }
+            });
+        }, observerOptions);
+
+        sections.forEach(section => observer.observe(section));
+
+        // Плавная прокрутка при клике на ссылки
+        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+            anchor.addEventListener('click', function (e) {
+                const href = this.getAttribute('href');
+                if (href === '#') return;
+
+                // Ссылки вида #transcript/sdk обрабатывает роутер
+                const target = document.getElementById(href.substring(1));
+                if (target) {
+                    e.preventDefault();
+                    utils.smoothScrollTo(target);
+                }
+            });
+        });
+    }
+};
@@ -0,0 +1,354 @@
+/**
+ * Manus Gateway Documentation Website
+ * Карточки endpoints из openapi.json
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { copyCode } from './copyCode.js';
+import { apiConsole } from './apiConsole.js';
+
+// ==================== OpenAPI ====================
+export const openApi = {
+    specUrl: 'openapi.json',
+    spec: null,
+    methods: ['get', 'post', 'put', 'patch', 'delete'],
+
+    statusTitles: {
+        200: 'OK',
+        201: 'Created',
+        400: 'Bad Request',
+        401: 'Unauthorized',
+        403: 'Forbidden',
+        404: 'Not Found',
+        429: 'Too Many Requests',
+        500: 'Internal Server Error'
+    },
+
+    async init() {
+        const container = document.getElementById('apiEndpoints');
+        if (!container) return;
+
+        const yamlButton = document.getElementById('downloadOpenApiYaml');
+        if (yamlButton) {
+            yamlButton.addEventListener('click', () => this.downloadYaml());
+        }
+
+        try {
+            const response = await fetch(this.specUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.spec = await response.json();
+        } catch (error) {
+            console.error('Ошибка загрузки OpenAPI спецификации:', error);
+            this.showError(container);
+            document.addEventListener('localechange', () => this.showError(container));
+            return;
+        }
+
+        apiConsole.endpoints = this.consoleEndpoints();
+        this.renderCards(container);
+    },
+
+    /**
+     * Операции спецификации в порядке описания: { id, method, path, operation }
+     */
+    operations() {
+        const operations = [];
+        Object.entries(this.spec.paths || {}).forEach(([path, item]) => {
+            Object.entries(item).forEach(([method, operation]) => {
+                if (!this.methods.includes(method)) return;
+                operations.push({
+                    id: operation.operationId || `${method}${path}`,
+                    method: method.toUpperCase(),
+                    path,
+                    operation
+                });
+            });
+        });
+        return operations;
+    },
+
+    /**
+     * Разрешение $ref вида #/components/schemas/Task
+     */
+    resolve(node) {
+        let current = node;
+        while (current && current.$ref) {
+            current = current.$ref.replace(/^#\//, '').split('/')
+                .reduce((target, key) => target && target[key], this.spec);
+        }
+        return current || {};
+    },
+
+    // /api/v1/tasks/{taskUuid} -> /api/v1/tasks/:taskUuid, как в остальной документации
+    displayPath(path) {
+        return path.replace(/\{(\w+)\}/g, ':$1');
+    },
+
+    typeOf(schema) {
+        const resolved = this.resolve(schema);
+        let type = resolved.type || 'object';
+
+        if (type === 'array') {
+            const items = schema.items || resolved.items || {};
+            type = items.$ref ? `${items.$ref.split('/').pop()}[]` : `${this.typeOf(items)}[]`;
+        } else if (resolved.enum) {
+            type = `${type} (${resolved.enum.join(', ')})`;
+        } else if (resolved.format) {
+            type = `${type} (${resolved.format})`;
+        }
+
+        return resolved.nullable ? `${type} | null` : type;
+    },
+
+    /**
+     * Плоский список полей схемы: data.taskUuid, data.pagination.page, ...
+     */
+    flattenSchema(schema, prefix = '') {
+        const resolved = this.resolve(schema);
+        const rows = [];
+
+        Object.entries(resolved.properties || {}).forEach(([name, property]) => {
+            const field = this.resolve(property);
+            const path = prefix ? `${prefix}.${name}` : name;
+
+            rows.push({
+                name: path,
+                type: this.typeOf(property),
+                required: (resolved.required || []).includes(name),
+                description: property.description || field.description || ''
+            });
+
+            if (field.type === 'object' || field.properties) {
+                rows.push(...this.flattenSchema(property, path));
+            }
+        });
+
+        return rows;
+    },
+
+    /**
+     * Описание полей формы консоли из параметров и тела запроса
+     */
+    consoleEndpoints() {
+        const endpoints = {};
+
+        this.operations().forEach(({ id, method, path, operation }) => {
+            const fields = (operation.parameters || []).map(parameter => {
+                const param = this.resolve(parameter);
+                return this.consoleField(param.name, param.in, this.resolve(param.schema), param.required, param.example);
+            });
+
+            const body = operation.requestBody && this.resolve(operation.requestBody).content;
+            const media = body && body['application/json'];
+            if (media) {
+                const schema = this.resolve(media.schema);
+                Object.entries(schema.properties || {}).forEach(([name, property]) => {
+                    fields.push(this.consoleField(
+                        name,
+                        'body',
+                        this.resolve(property),
+                        (schema.required || []).includes(name),
+                        media.example && media.example[name]
+                    ));
+                });
+            }
+
+            endpoints[id] = { method, path: this.displayPath(path), fields };
+        });
+
+        return endpoints;
+    },
+
+    consoleField(name, location, schema, required, example) {
+        const field = { name, in: location, required: Boolean(required) };
+
+        if (schema.enum) {
+            field.type = 'select';
+            field.options = ['', ...schema.enum];
+        } else if (schema.type === 'integer' || schema.type === 'number') {
+            field.type = 'number';
+        } else {
+            field.type = schema.maxLength > 1000 ? 'textarea' : 'text';
+        }
+
+        const placeholder = schema.default !== undefined ? schema.default : (example !== undefined ? example : schema.example);
+        if (placeholder !== undefined && field.type !== 'select') {
+            field.placeholder = String(placeholder);
+        }
+        if (example !== undefined || schema.example !== undefined) {
+            field.example = String(example !== undefined ? example : schema.example);
+        }
+
+        return field;
+    },
+
+    renderCards(container) {
+        container.innerHTML = this.operations().map(entry => this.renderCard(entry)).join('');
+
+        if (typeof hljs !== 'undefined') {
+            container.querySelectorAll('pre code').forEach(block => {
+                hljs.highlightElement(block);
+            });
+        }
+        copyCode.init();
+    },
+
+    renderCard({ id, method, path, operation }) {
+        const parameters = (operation.parameters || []).map(parameter => this.resolve(parameter));
+        const requestBody = operation.requestBody && this.resolve(operation.requestBody);
+        const requestMedia = requestBody && requestBody.content && requestBody.content['application/json'];
+
+        const responses = Object.entries(operation.responses || {})
+            .map(([code, response]) => ({ code, response: this.resolve(response) }));
+        const success = responses.find(({ code }) => /^2/.test(code));
+        const successMedia = success && success.response.content && success.response.content['application/json'];
+
+        return `
+            <div class="endpoint-card" data-endpoint="${utils.escapeHtml(id)}">
+                <div class="endpoint-header">
+                    <span class="http-method ${method.toLowerCase()}">${method}</span>
+                    <code>${utils.escapeHtml(this.displayPath(path))}</code>
+                    <span class="endpoint-title">${utils.escapeHtml(operation.summary || id)}</span>
+                </div>
+                <div class="endpoint-body">
+                    ${operation.description ? `<p>${this.inline(operation.description)}</p>` : ''}
+
+                    ${parameters.length ? `
+                        <h4 data-i18n="openapi.parameters">${i18n.t('openapi.parameters')}</h4>
+                        ${this.renderTable(['openapi.parameter', 'openapi.in', 'openapi.type', 'openapi.default', 'openapi.description'], parameters.map(param => {
+                            const schema = this.resolve(param.schema);
+                            return [
+                                `<code>${utils.escapeHtml(param.name)}</code>${param.required ? ' <span class="param-required">*</span>' : ''}`,
+                                utils.escapeHtml(param.in),
+                                utils.escapeHtml(this.typeOf(param.schema)),
+                                schema.default !== undefined ? utils.escapeHtml(String(schema.default)) : '-',
+                                [
+                                    param.description && this.inline(param.description),
+                                    schema.maximum !== undefined ? `<span data-i18n="openapi.max">${i18n.t('openapi.max')}</span>: ${schema.maximum}` : ''
+                                ].filter(Boolean).join(', ')
+                            ];
+                        }))}
+                    ` : ''}
+
+                    ${requestMedia ? `
+                        <h4>Request Body:</h4>
+                        ${this.renderSchemaTable(requestMedia.schema)}
+                        ${requestMedia.example ? this.renderExample(requestMedia.example) : ''}
+                    ` : ''}
+
+                    ${successMedia ? `
+                        <h4>Response (${utils.escapeHtml(success.code)} ${utils.escapeHtml(this.statusTitles[success.code] || '')}):</h4>
+                        ${successMedia.example ? this.renderExample(successMedia.example) : ''}
+                        <details class="schema-details">
+                            <summary data-i18n="openapi.schema">${i18n.t('openapi.schema')}</summary>
+                            ${this.renderSchemaTable(successMedia.schema)}
+                        </details>
+                    ` : ''}
+
+                    <h4 data-i18n="openapi.responses">${i18n.t('openapi.responses')}</h4>
+                    ${this.renderTable(['openapi.code', 'openapi.description', 'openapi.example'], responses.map(({ code, response }) => {
+                        const media = response.content && response.content['application/json'];
+                        const example = media && media.example && !/^2/.test(code) ? media.example.message : '';
+                        return [
+                            `<span class="status-code status-code-${code.charAt(0)}xx">${utils.escapeHtml(code)} ${utils.escapeHtml(this.statusTitles[code] || '')}</span>`,
+                            this.inline(response.description || ''),
+                            example ? `<code>${utils.escapeHtml(example)}</code>` : '-'
+                        ];
+                    }))}
+                </div>
+            </div>
+        `;
+    },
+
+    renderSchemaTable(schema) {
+        return this.renderTable(['openapi.field', 'openapi.type', 'openapi.description'], this.flattenSchema(schema).map(row => [
+            `<code>${utils.escapeHtml(row.name)}</code>${row.required ? ' <span class="param-required">*</span>' : ''}`,
+            utils.escapeHtml(row.type),
+            this.inline(row.description)
+        ]));
+    },
+
+    /**
+     * Таблица параметров: headers - ключи каталога
+     */
+    renderTable(headers, rows) {
+        return `
+            <table class="params-table">
+                <thead>
+                    <tr>${headers.map(header => `<th data-i18n="${header}">${i18n.t(header)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    renderExample(example) {
+        return `
+            <div class="code-block">
+                <pre><code class="language-json">${utils.escapeHtml(JSON.stringify(example, null, 2))}</code></pre>
+            </div>
+        `;
+    },
+
+    // Описания в спецификации используют `code` из Markdown
+    inline(text) {
+        return utils.escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+    },
+
+    showError(container) {
+        container.innerHTML = `
+            <div class="error-message" style="text-align: center; padding: 3rem; color: var(--error);">
+                <i class="fas fa-exclamation-triangle" style="font-size: 3rem; margin-bottom: 1rem;"></i>
+                <h3>${i18n.t('openapi.errorTitle')}</h3>
+                <p>${i18n.t('openapi.errorText', { url: `<a href="${this.specUrl}">${this.specUrl}</a>` })}</p>
+            </div>
+        `;
+    },
+
+    /**
+     * Сериализация спецификации в YAML (без внешних библиотек)
+     */
+    toYaml(value, indent = '') {
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '[]';
+            return value.map(item => {
+                const nested = this.toYaml(item, `${indent}  `);
+                return `${indent}- ${this.isScalar(item) ? nested : nested.trimStart()}`;
+            }).join('\n');
+        }
+
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value);
+            if (entries.length === 0) return '{}';
+            return entries.map(([key, item]) => {
+                const name = /^[A-Za-z_$][\w$.-]*$/.test(key) ? key : JSON.stringify(key);
+                if (this.isScalar(item) || this.isEmpty(item)) {
+                    return `${indent}${name}: ${this.toYaml(item)}`;
+                }
+                return `${indent}${name}:\n${this.toYaml(item, `${indent}  `)}`;
+            }).join('\n');
+        }
+
+        // Строка в JSON-кавычках - валидный YAML-скаляр
+        return value === null || value === undefined ? 'null' : JSON.stringify(value);
+    },
+
+    isScalar(value) {
+        return value === null || typeof value !== 'object';
+    },
+
+    isEmpty(value) {
+        return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+    },
+
+    downloadYaml() {
+        if (!this.spec) return;
+
+        utils.downloadFile(`${this.toYaml(this.spec)}\n`, 'openapi.yaml', 'application/yaml');
+    }
+};
@@ -0,0 +1,391 @@
+/**
+ * Manus Gateway Documentation Website
+ * Симулятор опроса статуса задачи
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { copyCode } from './copyCode.js';
+import { tabs } from './tabs.js';
+
+// ==================== Симулятор опроса ====================
+export const pollingSimulator = {
+    // Окно ограничения частоты, как в mockGateway
+    rateWindow: 60,
+    seed: 1,
+    // Больше событий таймлайн не покажет, а расчет заблокирует страницу
+    maxEvents: 5000,
+    // Сутки: дольше задачи в документации не ждут
+    maxSeconds: 86400,
+
+    fields: {
+        initialInterval: 'simInitialInterval',
+        multiplier: 'simMultiplier',
+        maxInterval: 'simMaxInterval',
+        maxWait: 'simMaxWait',
+        rateLimit: 'simRateLimit',
+        jitter: 'simJitter',
+        tasks: 'simTasks',
+        durationMin: 'simDurationMin',
+        durationMax: 'simDurationMax'
+    },
+
+    init() {
+        const panel = document.getElementById('pollingSimulator');
+        if (!panel) return;
+
+        const update = utils.debounce(() => this.run(), 200);
+        panel.querySelectorAll('.simulator-form input').forEach(input => {
+            input.addEventListener('input', update);
+        });
+        document.getElementById('simReseed').addEventListener('click', () => {
+            this.seed++;
+            this.run();
+        });
+        document.addEventListener('localechange', () => this.run());
+
+        this.run();
+    },
+
+    readConfig() {
+        const config = {};
+        Object.entries(this.fields).forEach(([name, id]) => {
+            const input = document.getElementById(id);
+            const value = parseFloat(input.value);
+            config[name] = Number.isFinite(value) ? value : parseFloat(input.defaultValue);
+        });
+
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+        config.initialInterval = clamp(config.initialInterval, 0.5, 3600);
+        config.multiplier = clamp(config.multiplier, 1, 10);
+        config.maxInterval = clamp(config.maxInterval, config.initialInterval, 3600);
+        config.maxWait = clamp(config.maxWait, 1, this.maxSeconds);
+        config.rateLimit = clamp(Math.round(config.rateLimit), 1, 10000);
+        config.tasks = clamp(Math.round(config.tasks), 1, 50);
+        config.jitter = clamp(config.jitter / 100, 0, 1);
+        config.durationMin = clamp(config.durationMin, 0, this.maxSeconds);
+        config.durationMax = clamp(config.durationMax, config.durationMin, this.maxSeconds);
+        return config;
+    },
+
+    run() {
+        const config = this.readConfig();
+        const result = this.simulate(config, this.seed);
+        this.renderStats(result);
+        this.renderChart(result);
+        this.renderExport(config);
+    },
+
+    // Детерминированный генератор (mulberry32), чтобы график не "прыгал" при правке параметров
+    random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Модель: задачи создаются одновременно и опрашиваются одним API ключом.
+     * Лимит - скользящее окно 60 с; ответ 429 не расходует лимит, клиент ждет сброса окна.
+     */
+    simulate(config, seed) {
+        const random = this.random(seed);
+        const log = [];
+        const events = [];
+
+        const tasks = Array.from({ length: config.tasks }, (_, index) => ({
+            index,
+            duration: config.durationMin + random() * (config.durationMax - config.durationMin),
+            next: 0,
+            interval: config.initialInterval,
+            created: false,
+            doneAt: null,
+            timedOut: false,
+            truncated: false
+        }));
+
+        const consume = time => {
+            while (log.length && time - log[0] >= this.rateWindow) {
+                log.shift();
+            }
+            if (log.length >= config.rateLimit) {
+                return log[0] + this.rateWindow - time;
+            }
+            log.push(time);
+            return 0;
+        };
+
+        let truncated = false;
+        for (;;) {
+            const pending = tasks.filter(task => task.doneAt === null && !task.timedOut);
+            if (pending.length === 0) break;
+
+            const task = pending.reduce((first, item) => (item.next < first.next ? item : first));
+            const time = task.next;
+
+            // Незавершенные задачи обрываются на последнем событии, не созданные так и остаются без start
+            if (events.length >= this.maxEvents) {
+                truncated = true;
+                pending.forEach(item => {
+                    item.truncated = true;
+                    item.timeoutAt = time;
+                });
+                break;
+            }
+
+            const wait = consume(time);
+            if (wait > 0) {
+                events.push({ task: task.index, time, type: 'limited' });
+                task.next = time + wait;
+                continue;
+            }
+
+            if (!task.created) {
+                // POST /api/v1/tasks, первый опрос через initialInterval
+                task.created = true;
+                events.push({ task: task.index, time, type: 'create' });
+                task.start = time;
+                task.readyAt = time + task.duration;
+                task.next = time + config.initialInterval;
+                continue;
+            }
+
+            if (time >= task.readyAt) {
+                task.doneAt = time;
+                events.push({ task: task.index, time, type: 'done' });
+                continue;
+            }
+
+            events.push({ task: task.index, time, type: 'poll' });
+            const jitter = 1 + (random() * 2 - 1) * config.jitter;
+            task.next = time + task.interval * jitter;
+            task.interval = Math.min(task.interval * config.multiplier, config.maxInterval);
+
+            if (task.next - task.start >= config.maxWait) {
+                task.timedOut = true;
+                task.timeoutAt = task.start + config.maxWait;
+                events.push({ task: task.index, time: task.timeoutAt, type: 'timeout' });
+            }
+        }
+
+        const finished = tasks.filter(task => task.doneAt !== null);
+        const delays = finished.map(task => task.doneAt - task.readyAt);
+        return {
+            config,
+            tasks,
+            events,
+            truncated,
+            unfinished: tasks.filter(task => task.truncated).length,
+            requests: events.filter(event => event.type !== 'timeout').length,
+            limited: events.filter(event => event.type === 'limited').length,
+            timedOut: tasks.filter(task => task.timedOut).length,
+            averageDelay: delays.length ? delays.reduce((sum, delay) => sum + delay, 0) / delays.length : 0,
+            maxDelay: delays.length ? Math.max(...delays) : 0,
+            totalTime: Math.max(...tasks.map(task => task.doneAt || task.timeoutAt || 0))
+        };
+    },
+
+    formatDuration(seconds) {
+        const value = Math.round(seconds);
+        const unit = (name, amount) => (amount ? i18n.t(`units.${name}`, { value: amount }) : '');
+        if (value < 60) return i18n.t('units.seconds', { value });
+        if (value < 3600) return [unit('minutes', Math.floor(value / 60)), unit('seconds', value % 60)].filter(Boolean).join(' ');
+        return [unit('hours', Math.floor(value / 3600)), unit('minutes', Math.round(value % 3600 / 60))].filter(Boolean).join(' ');
+    },
+
+    renderStats(result) {
+        const stats = [
+            [i18n.t('simulator.stats.requests'), result.requests],
+            [i18n.t('simulator.stats.limited'), result.limited],
+            [i18n.t('simulator.stats.averageDelay'), this.formatDuration(result.averageDelay)],
+            [i18n.t('simulator.stats.maxDelay'), this.formatDuration(result.maxDelay)],
+            [i18n.t('simulator.stats.totalTime'), this.formatDuration(result.totalTime)],
+            [i18n.t('simulator.stats.timedOut'), result.timedOut]
+        ];
+
+        document.getElementById('simStats').innerHTML = stats.map(([label, value]) => `
+            <div class="simulator-stat">
+                <span class="simulator-stat-value">${value}</span>
+                <span class="simulator-stat-label">${label}</span>
+            </div>
+        `).join('') + (result.truncated
+            ? `<div class="console-status warning simulator-truncated">${i18n.t('simulator.truncated', { count: this.maxEvents, tasks: result.unfinished })}</div>`
+            : '');
+    },
+
+    /**
+     * SVG-таймлайн: строка на задачу, полоса - реальное время выполнения, точки - запросы
+     */
+    renderChart(result) {
+        const rowHeight = 18;
+        const left = 48;
+        const width = 800;
+        const top = 10;
+        const height = top + result.tasks.length * rowHeight + 30;
+        const span = Math.max(result.totalTime, 1);
+        const x = time => left + (time / span) * (width - left - 10);
+
+        const ticks = [];
+        const step = this.tickStep(span);
+        for (let time = 0; time <= span; time += step) {
+            ticks.push(time);
+        }
+
+        const rows = result.tasks.map((task, index) => {
+            const y = top + index * rowHeight + rowHeight / 2;
+            const label = `<text x="${left - 8}" y="${y + 4}" class="sim-label" text-anchor="end">#${index + 1}</text>`;
+            // Задача, которую не успели создать до лимита событий, - строка без полосы
+            if (task.start === undefined) return label;
+
+            const end = task.doneAt !== null ? task.doneAt : task.timeoutAt;
+            return `
+                ${label}
+                <rect x="${x(task.start)}" y="${y - 4}" width="${Math.max(1, x(Math.min(task.readyAt, end)) - x(task.start))}" height="8" rx="2" class="sim-duration"/>
+                ${task.doneAt !== null && task.doneAt > task.readyAt ? `<rect x="${x(task.readyAt)}" y="${y - 4}" width="${Math.max(1, x(task.doneAt) - x(task.readyAt))}" height="8" class="sim-delay"/>` : ''}
+            `;
+        }).join('');
+
+        const marks = result.events.map(event => {
+            const y = top + event.task * rowHeight + rowHeight / 2;
+            const cx = x(event.time);
+            if (event.type === 'limited') {
+                return `<path d="M${cx - 3} ${y - 3}L${cx + 3} ${y + 3}M${cx + 3} ${y - 3}L${cx - 3} ${y + 3}" class="sim-limited"><title>${i18n.t('simulator.eventAt', { event: 429, time: this.formatDuration(event.time) })}</title></path>`;
+            }
+            return `<circle cx="${cx}" cy="${y}" r="${event.type === 'poll' ? 2.5 : 4}" class="sim-${event.type}"><title>${i18n.t('simulator.eventAt', { event: event.type, time: this.formatDuration(event.time) })}</title></circle>`;
+        }).join('');
+
+        const axisY = top + result.tasks.length * rowHeight + 6;
+        document.getElementById('simChart').innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" class="simulator-svg" role="img" aria-label="${i18n.t('simulator.chart')}">
+                ${ticks.map(time => `
+                    <line x1="${x(time)}" y1="${top}" x2="${x(time)}" y2="${axisY}" class="sim-grid"/>
+                    <text x="${x(time)}" y="${axisY + 16}" class="sim-label" text-anchor="middle">${this.formatDuration(time)}</text>
+                `).join('')}
+                ${rows}
+                ${marks}
+            </svg>
+        `;
+    },
+
+    tickStep(span) {
+        const steps = [5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200];
+        return steps.find(step => span / step <= 8) || 14400;
+    },
+
+    renderExport(config) {
+        const container = document.getElementById('simExport');
+        const activeTab = container.querySelector('.tab-btn.active');
+        const round = value => Math.round(value * 100) / 100;
+
+        const python = `import random
+import time
+
+from manus_gateway import AuthenticationError, ManusGatewayError
+
+POLLING_CONFIG = {
+    "initial_interval": ${round(config.initialInterval)},  # seconds
+    "multiplier": ${round(config.multiplier)},
+    "max_interval": ${round(config.maxInterval)},  # seconds
+    "max_wait": ${round(config.maxWait)},  # seconds
+    "jitter": ${round(config.jitter)},  # fraction of the interval
+}
+
+
+def wait_for_completion(client, task_uuid, config=POLLING_CONFIG):
+    """Poll a task with exponential backoff until it completes or fails."""
+    start = time.monotonic()
+    interval = config["initial_interval"]
+
+    while time.monotonic() - start < config["max_wait"]:
+        try:
+            task = client.get_task(task_uuid)
+            if task.status in ("completed", "failed"):
+                return task
+        except AuthenticationError:
+            raise
+        except ManusGatewayError:
+            pass  # rate limited or transient error: keep backing off
+
+        jitter = 1 + random.uniform(-config["jitter"], config["jitter"])
+        time.sleep(interval * jitter)
+        interval = min(interval * config["multiplier"], config["max_interval"])
+
+    raise TimeoutError(f"Task {task_uuid} did not complete within {config['max_wait']} seconds")`;
+
+        const javascript = `import { AuthenticationError, ManusGatewayError } from 'manus-gateway';
+
+export const pollingConfig = {
+  initialInterval: ${round(config.initialInterval * 1000)}, // ms
+  multiplier: ${round(config.multiplier)},
+  maxInterval: ${round(config.maxInterval * 1000)}, // ms
+  maxWait: ${round(config.maxWait * 1000)}, // ms
+  jitter: ${round(config.jitter)}, // fraction of the interval
+};
+
+export async function waitForCompletion(client, taskUuid, config = pollingConfig) {
+  const start = Date.now();
+  let interval = config.initialInterval;
+
+  while (Date.now() - start < config.maxWait) {
+    try {
+      const task = await client.getTask(taskUuid);
+      if (task.status === 'completed' || task.status === 'failed') {
+        return task;
+      }
+    } catch (error) {
+      // Rate limited or transient error: keep backing off
+      if (error instanceof AuthenticationError || !(error instanceof ManusGatewayError)) {
+        throw error;
+      }
+    }
+
+    const jitter = 1 + (Math.random() * 2 - 1) * config.jitter;
+    await new Promise(resolve => setTimeout(resolve, interval * jitter));
+    interval = Math.min(interval * config.multiplier, config.maxInterval);
+  }
+
+  throw new Error(\`Task \${taskUuid} did not complete within \${config.maxWait} ms\`);
+}`;
+
+        const languages = [
+            { id: 'python', label: 'Python', code: python },
+            { id: 'javascript', label: 'JavaScript', code: javascript }
+        ];
+        const active = activeTab ? activeTab.getAttribute('data-language') : 'python';
+
+        container.innerHTML = `
+            <div class="tabs">
+                <div class="tab-buttons">
+                    ${languages.map(language => `
+                        <button class="tab-btn${language.id === active ? ' active' : ''}" data-tab="sim-export-${language.id}" data-language="${language.id}">${language.label}</button>
+                    `).join('')}
+                </div>
+                ${languages.map(language => `
+                    <div class="tab-content${language.id === active ? ' active' : ''}" id="sim-export-${language.id}">
+                        <div class="code-block">
+                            <div class="code-header">
+                                <span>${language.label}</span>
+                                <button class="copy-btn">
+                                    <i class="fas fa-copy"></i>
+                                </button>
+                            </div>
+                            <pre><code class="language-${language.id}">${utils.escapeHtml(language.code)}</code></pre>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        if (typeof hljs !== 'undefined') {
+            container.querySelectorAll('pre code').forEach(block => {
+                hljs.highlightElement(block);
+            });
+        }
+        tabs.init();
+        copyCode.init();
+    }
+};
@@ -0,0 +1,92 @@
+/**
+ * Manus Gateway Documentation Website
+ * Service worker и уведомления об обновлениях
+ */
+
+import { i18n } from './i18n.js';
+
+// ==================== PWA ====================
+export const pwa = {
+    waitingWorker: null,
+
+    init() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+        const banner = document.getElementById('updateBanner');
+        if (banner) {
+            document.getElementById('updateBannerReload').addEventListener('click', () => this.reload());
+            document.getElementById('updateBannerClose').addEventListener('click', () => {
+                banner.hidden = true;
+            });
+        }
+
+        // Service worker обновил markdown в кэше
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'docs-updated') {
+                this.showBanner('pwa.docsUpdated');
+            }
+        });
+
+        // Новая версия активирована по кнопке - перезагружаем страницу
+        let refreshing = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (refreshing || !this.waitingWorker) return;
+            refreshing = true;
+            location.reload();
+        });
+
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            window.addEventListener('load', () => this.register());
+        }
+    },
+
+    async register() {
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.onUpdateFound(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Первая установка - это не обновление
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.onUpdateFound(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Не удалось зарегистрировать service worker:', error);
+        }
+    },
+
+    onUpdateFound(worker) {
+        this.waitingWorker = worker;
+        this.showBanner('pwa.siteUpdated');
+    },
+
+    /**
+     * Баннер с сообщением из каталога: при смене языка текст переводится вместе с разметкой
+     */
+    showBanner(key) {
+        const banner = document.getElementById('updateBanner');
+        if (!banner) return;
+
+        const text = document.getElementById('updateBannerText');
+        text.setAttribute('data-i18n', key);
+        text.textContent = i18n.t(key);
+        banner.hidden = false;
+    },
+
+    reload() {
+        if (this.waitingWorker) {
+            this.waitingWorker.postMessage({ type: 'skip-waiting' });
+        } else {
+            location.reload();
+        }
+    }
+};
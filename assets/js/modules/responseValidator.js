@@ -0,0 +1,419 @@
+/**
+ * Manus Gateway Documentation Website
+ * Проверка ответов API по структуре задачи
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { theme } from './theme.js';
+import { openApi } from './openApi.js';
+import { keyManager } from './keyManager.js';
+
+// ==================== Проверка ответов ====================
+export const responseValidator = {
+    structures: {},
+
+    init() {
+        const panel = document.getElementById('responseValidator');
+        if (!panel) return;
+
+        const input = document.getElementById('validatorInput');
+        const output = document.getElementById('validatorOutput');
+        document.getElementById('validatorRun').addEventListener('click', () => this.run());
+        document.getElementById('validatorExample').addEventListener('click', () => {
+            input.value = this.example(document.getElementById('validatorEndpoint').value);
+            this.run();
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                this.run();
+            }
+        });
+
+        document.addEventListener('localechange', () => {
+            if (output.innerHTML) this.run();
+        });
+    },
+
+    /**
+     * Структуры задачи: REST (openapi.json) и SDK (таблица "Task Object Structure")
+     */
+    load(sdkMarkdown) {
+        if (openApi.spec) {
+            this.structures.rest = this.fromSchema(openApi.resolve({ $ref: '#/components/schemas/Task' }));
+            this.structures.pagination = this.fromSchema(openApi.resolve({ $ref: '#/components/schemas/Pagination' }));
+        }
+        if (sdkMarkdown) {
+            const sdk = this.fromMarkdownTable(sdkMarkdown, 'Task Object Structure');
+            if (sdk) {
+                this.structures.sdk = sdk;
+            }
+        }
+    },
+
+    fromSchema(schema) {
+        const fields = {};
+        Object.entries(schema.properties || {}).forEach(([name, property]) => {
+            const resolved = openApi.resolve(property);
+            fields[name] = {
+                types: resolved.nullable ? [resolved.type, 'null'] : [resolved.type],
+                format: resolved.format,
+                pattern: resolved.pattern ? new RegExp(resolved.pattern) : null,
+                enum: resolved.enum || null,
+                required: (schema.required || []).includes(name)
+            };
+        });
+        return { source: 'openapi.json', fields };
+    },
+
+    /**
+     * Разбор таблицы "| `field` | type | description |" под заголовком
+     */
+    fromMarkdownTable(markdownText, heading) {
+        const start = markdownText.search(new RegExp(`^#{2,4}\\s+${heading}\\s*$`, 'm'));
+        if (start === -1) return null;
+
+        const section = markdownText.slice(start).split(/\n(?=#{1,4}\s)/)[0];
+        const fields = {};
+        section.split('\n').forEach(line => {
+            const cells = line.split('|').slice(1, -1).map(cell => cell.trim());
+            const name = cells[0] && cells[0].match(/^`(\w+)`$/);
+            if (!name) return;
+
+            const [type, description = ''] = cells.slice(1);
+            const values = description.match(/\(([a-z_]+(?:,\s*[a-z_]+)+)\)/);
+            fields[name[1]] = {
+                types: type.split(/\s+or\s+|\s*\|\s*/).map(item => item.trim().toLowerCase()),
+                format: /ISO 8601/.test(description) ? 'date-time' : null,
+                pattern: null,
+                enum: values ? values[1].split(/,\s*/) : null,
+                required: true
+            };
+        });
+
+        return Object.keys(fields).length ? { source: `SDK: ${heading}`, fields } : null;
+    },
+
+    run() {
+        const input = document.getElementById('validatorInput');
+        const output = document.getElementById('validatorOutput');
+        const mode = document.getElementById('validatorEndpoint').value;
+
+        const result = this.validate(input.value, mode);
+        this.render(output, input.value, result);
+    },
+
+    /**
+     * Проверка текста ответа. Возвращает { issues, lines, kind, source }
+     */
+    validate(text, mode = 'auto') {
+        const issues = [];
+        let parsed;
+        try {
+            parsed = this.parse(text);
+        } catch (error) {
+            issues.push({ level: 'error', path: '', line: error.line || 1, message: i18n.t('validator.invalidJson', { message: error.message }) });
+            return { issues, lines: {}, kind: null, source: null };
+        }
+
+        const { value, lines } = parsed;
+        const add = (level, path, message) => {
+            issues.push({ level, path, line: this.lineOf(lines, path), message });
+        };
+
+        let data = value;
+        if (value && typeof value === 'object' && !Array.isArray(value) && 'success' in value) {
+            if (value.success !== true) {
+                add('error', 'success', i18n.t('validator.success', { value: JSON.stringify(value.success) }));
+            }
+            if (!('data' in value)) {
+                add('error', '', i18n.t('validator.noData'));
+                return { issues, lines, kind: null, source: null };
+            }
+            data = value.data;
+        }
+
+        const kind = mode !== 'auto' ? mode : (data && Array.isArray(data.tasks) ? 'list' : 'task');
+        const prefix = data === value ? '' : 'data';
+        const join = (...parts) => parts.filter(part => part !== '').join('.').replace(/\.\[/g, '[');
+
+        let source = null;
+        if (kind === 'list') {
+            if (!this.isObject(data) || !Array.isArray(data.tasks)) {
+                add('error', prefix, i18n.t('validator.notList'));
+                return { issues, lines, kind, source };
+            }
+            data.tasks.forEach((task, index) => {
+                source = this.validateTask(task, join(prefix, `tasks[${index}]`), add) || source;
+            });
+            this.validatePagination(data.pagination, data.tasks, join(prefix, 'pagination'), add);
+        } else {
+            source = this.validateTask(data, prefix, add);
+        }
+
+        return { issues, lines, kind, source };
+    },
+
+    validateTask(task, path, add) {
+        if (!this.isObject(task)) {
+            add('error', path, i18n.t('validator.notTask'));
+            return null;
+        }
+
+        // Объект SDK использует snake_case (task_uuid), REST - camelCase (taskUuid)
+        const structure = 'task_uuid' in task && this.structures.sdk ? this.structures.sdk : this.structures.rest;
+        if (!structure) {
+            add('warning', path, i18n.t('validator.noStructure'));
+            return null;
+        }
+
+        const at = name => (path ? `${path}.${name}` : name);
+
+        Object.entries(structure.fields).forEach(([name, field]) => {
+            if (!(name in task)) {
+                if (field.required) {
+                    add('error', path, i18n.t('validator.missingField', { name, types: field.types.join(' | ') }));
+                }
+                return;
+            }
+
+            const value = task[name];
+            const type = this.typeOf(value);
+            if (!field.types.includes(type) && !(type === 'integer' && field.types.includes('number'))) {
+                add('error', at(name), i18n.t('validator.wrongType', { name, types: field.types.join(' | '), type }));
+                return;
+            }
+            if (value === null) return;
+
+            if (field.enum && !field.enum.includes(value)) {
+                add('error', at(name), i18n.t('validator.unknownStatus', { value, values: field.enum.join(', ') }));
+            }
+            if (field.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+                add('error', at(name), i18n.t('validator.notDate', { name, value }));
+            }
+            if (field.pattern && !field.pattern.test(value)) {
+                add('warning', at(name), i18n.t('validator.pattern', { name, value, pattern: field.pattern.source }));
+            }
+        });
+
+        Object.keys(task).forEach(name => {
+            if (!(name in structure.fields)) {
+                add('warning', at(name), i18n.t('validator.undocumented', { name }));
+            }
+        });
+
+        // Согласованность статуса и результата
+        const status = task.status;
+        const result = structure.fields.result ? task.result : task.response;
+        const error = structure.fields.errorMessage ? task.errorMessage : task.error;
+        if (status === 'completed' && (result === null || result === undefined)) {
+            add('warning', at('status'), i18n.t('validator.emptyResult'));
+        }
+        if (status === 'failed' && !error) {
+            add('warning', at('status'), i18n.t('validator.noError'));
+        }
+
+        return structure.source;
+    },
+
+    validatePagination(pagination, tasks, path, add) {
+        if (!this.isObject(pagination)) {
+            add('error', path, i18n.t('validator.noPagination'));
+            return;
+        }
+
+        const structure = this.structures.pagination;
+        const fields = structure ? Object.keys(structure.fields) : ['page', 'limit', 'total', 'totalPages'];
+        let valid = true;
+        fields.forEach(name => {
+            if (!Number.isInteger(pagination[name]) || pagination[name] < 0) {
+                add('error', name in pagination ? `${path}.${name}` : path, i18n.t('validator.paginationInteger', { name }));
+                valid = false;
+            }
+        });
+        if (!valid) return;
+
+        const { page, limit, total, totalPages } = pagination;
+        const expectedPages = limit > 0 ? Math.ceil(total / limit) : 0;
+        if (totalPages !== expectedPages) {
+            add('error', `${path}.totalPages`, i18n.t('validator.totalPages', { totalPages, expected: expectedPages }));
+        }
+        if (tasks.length > limit) {
+            add('error', `${path}.limit`, i18n.t('validator.overLimit', { count: tasks.length, limit }));
+        }
+        if (total > 0 && page > expectedPages) {
+            add('warning', `${path}.page`, i18n.t('validator.pageOutOfRange', { page, pages: expectedPages }));
+        } else if (total > 0 && page === expectedPages) {
+            // Число задач сверяется только на последней странице: примеры в документации сокращают полные страницы
+            const expectedCount = total - (page - 1) * limit;
+            if (tasks.length !== expectedCount) {
+                add('warning', path, i18n.t('validator.pageCount', { expected: expectedCount, page, count: tasks.length }));
+            }
+        }
+    },
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    },
+
+    lineOf(lines, path) {
+        let current = path;
+        while (current && !(current in lines)) {
+            const parent = current.replace(/(\.?[^.[]+|\[\d+\])$/, '');
+            current = parent === current ? '' : parent;
+        }
+        return lines[current] || lines[''] || 1;
+    },
+
+    /**
+     * JSON-парсер, запоминающий строку каждого значения: { 'data.tasks[0].status': 12 }
+     */
+    parse(text) {
+        let index = 0;
+        let line = 1;
+        const lines = {};
+
+        const fail = message => {
+            const error = new Error(i18n.t('validator.atLine', { message, line }));
+            error.line = line;
+            throw error;
+        };
+        const skip = () => {
+            while (index < text.length && /\s/.test(text[index])) {
+                if (text[index] === '\n') line++;
+                index++;
+            }
+        };
+        const expect = char => {
+            skip();
+            if (text[index] !== char) fail(i18n.t('validator.expectedChar', { char }));
+            index++;
+        };
+        const string = () => {
+            const match = /^"(?:[^"\\\n]|\\.)*"/.exec(text.slice(index));
+            if (!match) fail(i18n.t('validator.unclosedString'));
+            index += match[0].length;
+            return JSON.parse(match[0]);
+        };
+
+        const value = path => {
+            skip();
+            lines[path] = line;
+            const char = text[index];
+
+            if (char === '{') {
+                index++;
+                const result = {};
+                skip();
+                if (text[index] === '}') {
+                    index++;
+                    return result;
+                }
+                for (;;) {
+                    skip();
+                    if (text[index] !== '"') fail(i18n.t('validator.expectedKey'));
+                    const key = string();
+                    expect(':');
+                    result[key] = value(path ? `${path}.${key}` : key);
+                    skip();
+                    if (text[index] === ',') {
+                        index++;
+                        continue;
+                    }
+                    expect('}');
+                    return result;
+                }
+            }
+
+            if (char === '[') {
+                index++;
+                const result = [];
+                skip();
+                if (text[index] === ']') {
+                    index++;
+                    return result;
+                }
+                for (;;) {
+                    result.push(value(`${path}[${result.length}]`));
+                    skip();
+                    if (text[index] === ',') {
+                        index++;
+                        continue;
+                    }
+                    expect(']');
+                    return result;
+                }
+            }
+
+            if (char === '"') return string();
+
+            const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(index));
+            if (!literal) fail(char === undefined ? i18n.t('validator.unexpectedEnd') : i18n.t('validator.unexpectedChar', { char }));
+            index += literal[0].length;
+            return JSON.parse(literal[0]);
+        };
+
+        const result = value('');
+        skip();
+        if (index < text.length) fail(i18n.t('validator.trailing'));
+        return { value: result, lines };
+    },
+
+    render(output, text, result) {
+        const errors = result.issues.filter(issue => issue.level === 'error').length;
+        const warnings = result.issues.length - errors;
+        const byLine = {};
+        result.issues.forEach(issue => {
+            (byLine[issue.line] = byLine[issue.line] || []).push(issue);
+        });
+
+        const summary = result.issues.length === 0
+            ? `<div class="console-status success"><i class="fas fa-check-circle"></i> ${i18n.t('validator.valid')}</div>`
+            : `<div class="console-status ${errors ? 'error' : 'warning'}">
+                    <i class="fas fa-exclamation-triangle"></i> ${i18n.t('validator.summary', { errors, warnings })}
+               </div>`;
+
+        output.innerHTML = `
+            ${summary}
+            ${result.source ? `<p class="validator-source">${i18n.t('validator.source', { source: utils.escapeHtml(result.source) })}${result.kind === 'list' ? ' + pagination' : ''}</p>` : ''}
+            <ul class="validator-issues">
+                ${result.issues.map(issue => `
+                    <li class="validator-issue ${issue.level}" data-line="${issue.line}">
+                        <button type="button" class="validator-line">${i18n.t('validator.line', { line: issue.line })}</button>
+                        ${issue.path ? `<code>${utils.escapeHtml(issue.path)}</code>` : ''}
+                        ${utils.escapeHtml(issue.message)}
+                    </li>
+                `).join('')}
+            </ul>
+            <pre class="validator-annotated">${text.split('\n').map((content, index) => {
+                const issues = byLine[index + 1] || [];
+                const level = issues.some(issue => issue.level === 'error') ? 'error' : (issues.length ? 'warning' : '');
+                return `<span class="validator-row ${level}" id="validator-line-${index + 1}"><span class="validator-gutter">${index + 1}</span>${utils.escapeHtml(keyManager.redact(content))}${issues.map(issue => `<span class="validator-note">← ${utils.escapeHtml(issue.message)}</span>`).join('')}</span>`;
+            }).join('\n')}</pre>
+        `;
+
+        output.querySelectorAll('.validator-issue').forEach(item => {
+            item.addEventListener('click', () => {
+                const row = document.getElementById(`validator-line-${item.getAttribute('data-line')}`);
+                if (row) {
+                    row.scrollIntoView({ block: 'center', behavior: theme.scrollBehavior() });
+                }
+            });
+        });
+    },
+
+    example(mode) {
+        const spec = openApi.spec;
+        if (!spec) return '';
+
+        const operation = mode === 'list' ? spec.paths['/api/v1/tasks'].get : spec.paths['/api/v1/tasks/{taskUuid}'].get;
+        return JSON.stringify(operation.responses['200'].content['application/json'].example, null, 2);
+    }
+};
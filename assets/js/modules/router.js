@@ -0,0 +1,103 @@
+/**
+ * Manus Gateway Documentation Website
+ * Роутер по hash-ссылкам
+ */
+
+import { docs } from './docs.js';
+import { utils } from './utils.js';
+import { modal } from './modal.js';
+import { useCases } from './useCases.js';
+import { toc } from './toc.js';
+import { transcript } from './transcript.js';
+
+// ==================== Роутер ====================
+export const router = {
+    ready: Promise.resolve(),
+    ignoreNextChange: false,
+
+    // Маршруты по hash: #transcript/sdk, #usecase/retry, #api/polling-for-task-completion
+    routes: [
+        {
+            pattern: /^#transcript\/([\w-]+)$/,
+            async handle([, docType], options) {
+                await router.ready;
+                if (!(docType in docs)) return;
+
+                transcript.showDocument(docType);
+                const section = document.getElementById('transcript');
+                if (options.scroll && section) {
+                    utils.smoothScrollTo(section);
+                }
+            }
+        },
+        {
+            pattern: /^#usecase\/([\w-]+)$/,
+            modal: true,
+            async handle([, caseId]) {
+                await router.ready;
+                useCases.show(caseId);
+                if (modal.currentModal) {
+                    modal.routed = true;
+                }
+            }
+        },
+        {
+            pattern: /^#([a-z]+)\/(.+)$/,
+            async handle(match) {
+                await router.ready;
+                toc.openHash(match[0]);
+            }
+        }
+    ],
+
+    init(ready) {
+        this.ready = ready || Promise.resolve();
+
+        window.addEventListener('hashchange', () => {
+            if (this.ignoreNextChange) {
+                this.ignoreNextChange = false;
+                return;
+            }
+            this.resolve({ scroll: true });
+        });
+
+        this.resolve({ scroll: true });
+    },
+
+    /**
+     * Переход с записью в историю браузера
+     */
+    navigate(hash, options = { scroll: true }) {
+        if (window.location.hash !== hash) {
+            history.pushState({ routed: true }, '', hash);
+        }
+        this.resolve(options);
+    },
+
+    /**
+     * Возврат на предыдущий URL при закрытии модального окна
+     */
+    back() {
+        if (history.state && history.state.routed) {
+            this.ignoreNextChange = true;
+            history.back();
+        } else {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    },
+
+    resolve(options = {}) {
+        const hash = decodeURIComponent(window.location.hash);
+        const route = this.routes.find(r => r.pattern.test(hash));
+
+        // Кнопка "Назад" закрывает модальное окно, открытое по ссылке
+        if (modal.routed && !(route && route.modal)) {
+            modal.routed = false;
+            modal.close();
+        }
+
+        if (route) {
+            return route.handle(hash.match(route.pattern), options);
+        }
+    }
+};
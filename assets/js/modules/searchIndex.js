@@ -0,0 +1,210 @@
+/**
+ * Manus Gateway Documentation Website
+ * Поисковый индекс по документам
+ */
+
+import { utils } from './utils.js';
+
+// ==================== Поисковый индекс ====================
+export const searchIndex = {
+    blocks: [],
+    terms: new Map(),
+
+    // Вес совпадения в зависимости от типа блока
+    weights: {
+        title: 6,
+        heading: 4,
+        body: 1,
+        code: 0.5
+    },
+
+    russianEndings: [
+        'иями', 'ями', 'ами', 'ией', 'иях', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими',
+        'ой', 'ей', 'ий', 'ый', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ую', 'юю', 'ом', 'ем',
+        'ам', 'ям', 'ах', 'ях', 'ов', 'ев', 'ия', 'ть', 'ет', 'ит', 'ут', 'ют', 'ат', 'ят',
+        'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь'
+    ],
+
+    englishEndings: ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'edly', 'ies', 'ed', 'es', 'ly', 's'],
+
+    /**
+     * Разбиение текста на слова (кириллица и латиница)
+     */
+    tokenize(text) {
+        return (text.toLowerCase().replace(/ё/g, 'е').match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(token => token.length > 1);
+    },
+
+    /**
+     * Упрощённый стемминг: отсечение типичных окончаний
+     */
+    stem(token) {
+        const endings = /[а-я]/.test(token) ? this.russianEndings : this.englishEndings;
+        const ending = endings.find(e => token.endsWith(e) && token.length - e.length >= 3);
+        return ending ? token.slice(0, -ending.length) : token;
+    },
+
+    /**
+     * Построение индекса по отрендеренным документам
+     */
+    build(docTypes) {
+        this.blocks = [];
+        this.terms = new Map();
+
+        docTypes.forEach(docType => {
+            const container = document.getElementById(`${docType}-content`);
+            if (!container) return;
+
+            let section = null;
+            container.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, pre, th, td').forEach(element => {
+                // Абзацы внутри li индексируются отдельно
+                if (element.tagName === 'LI' && element.querySelector(':scope > p')) return;
+
+                const text = element.textContent.trim();
+                if (!text) return;
+
+                const isHeading = /^H[1-6]$/.test(element.tagName);
+                if (isHeading) {
+                    section = { title: text, element };
+                }
+
+                let kind = 'body';
+                if (isHeading) {
+                    kind = ['H1', 'H2'].includes(element.tagName) ? 'title' : 'heading';
+                } else if (element.tagName === 'PRE') {
+                    kind = 'code';
+                }
+
+                this.addBlock({ docType, element, text, kind, section });
+            });
+        });
+    },
+
+    addBlock(block) {
+        const id = this.blocks.length;
+        this.blocks.push(block);
+
+        this.tokenize(block.text).forEach(token => {
+            const term = this.stem(token);
+            if (!this.terms.has(term)) {
+                this.terms.set(term, new Map());
+            }
+            const postings = this.terms.get(term);
+            postings.set(id, (postings.get(id) || 0) + 1);
+        });
+    },
+
+    /**
+     * Поиск: все слова запроса должны встретиться в блоке,
+     * последнее слово ищется по префиксу
+     */
+    query(text) {
+        const queryTerms = this.tokenize(text).map(token => this.stem(token));
+        if (queryTerms.length === 0) return [];
+
+        let scores = null;
+        queryTerms.forEach((queryTerm, index) => {
+            const allowPrefix = index === queryTerms.length - 1 || queryTerm.length >= 4;
+            const termScores = new Map();
+
+            this.terms.forEach((postings, term) => {
+                let factor = 0;
+                if (term === queryTerm) {
+                    factor = 1;
+                } else if (allowPrefix && term.startsWith(queryTerm)) {
+                    factor = 0.5;
+                }
+                if (!factor) return;
+
+                const idf = Math.log(1 + this.blocks.length / postings.size);
+                postings.forEach((count, id) => {
+                    const weight = this.weights[this.blocks[id].kind];
+                    const score = factor * weight * idf * (1 + Math.log(count));
+                    termScores.set(id, Math.max(termScores.get(id) || 0, score));
+                });
+            });
+
+            if (scores === null) {
+                scores = termScores;
+                return;
+            }
+            const merged = new Map();
+            scores.forEach((score, id) => {
+                if (termScores.has(id)) {
+                    merged.set(id, score + termScores.get(id));
+                }
+            });
+            scores = merged;
+        });
+
+        return this.group(scores, queryTerms);
+    },
+
+    /**
+     * Группировка совпадений по разделам документа
+     */
+    group(scores, queryTerms) {
+        const groups = new Map();
+
+        scores.forEach((score, id) => {
+            const block = this.blocks[id];
+            const key = block.section ? block.section.element : block.docType;
+
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    docType: block.docType,
+                    section: block.section,
+                    score: 0,
+                    hits: []
+                });
+            }
+            groups.get(key).hits.push({ block, score });
+        });
+
+        return Array.from(groups.values())
+            .map(group => {
+                group.hits.sort((a, b) => b.score - a.score);
+                // Лучшее совпадение + небольшой бонус за остальные
+                group.score = group.hits[0].score +
+                    group.hits.slice(1).reduce((sum, hit) => sum + hit.score * 0.2, 0);
+                group.queryTerms = queryTerms;
+                return group;
+            })
+            .sort((a, b) => b.score - a.score);
+    },
+
+    /**
+     * Фрагмент текста вокруг первого совпадения с подсветкой
+     */
+    snippet(text, queryTerms, radius = 70) {
+        const lower = text.toLowerCase().replace(/ё/g, 'е');
+        const positions = queryTerms
+            .map(term => lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${this.escapeRegExp(term)}`, 'u')))
+            .filter(position => position >= 0);
+        const first = positions.length ? Math.min(...positions) : 0;
+
+        const start = Math.max(0, first - radius);
+        const end = Math.min(text.length, first + radius * 2);
+        const fragment = (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+
+        return this.highlight(fragment, queryTerms);
+    },
+
+    /**
+     * Экранирование текста и подсветка слов, совпавших с запросом
+     */
+    highlight(text, queryTerms) {
+        return text.split(/([\p{L}\p{N}]+)/u).map(part => {
+            const escaped = utils.escapeHtml(part);
+            if (!/[\p{L}\p{N}]/u.test(part)) return escaped;
+
+            const term = this.stem(part.toLowerCase().replace(/ё/g, 'е'));
+            const matched = queryTerms.some(q => term === q || term.startsWith(q) || part.toLowerCase().startsWith(q));
+            return matched ? `<mark>${escaped}</mark>` : escaped;
+        }).join('');
+    },
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+};
@@ -0,0 +1,315 @@
+/**
+ * Manus Gateway Documentation Website
+ * Генератор примеров кода для endpoints
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { copyCode } from './copyCode.js';
+import { tabs } from './tabs.js';
+import { apiConsole } from './apiConsole.js';
+
+// ==================== Генератор примеров кода ====================
+export const snippets = {
+    placeholderKey: 'manus_your_api_key_here',
+
+    languages: [
+        { id: 'curl', label: 'curl', highlight: 'bash' },
+        { id: 'httpie', label: 'HTTPie', highlight: 'bash' },
+        { id: 'python', label: 'Python', highlight: 'python' },
+        { id: 'javascript', label: 'JavaScript', highlight: 'javascript' },
+        { id: 'axios', label: 'Node.js (axios)', highlight: 'javascript' },
+        { id: 'go', label: 'Go', highlight: 'go' },
+        { id: 'php', label: 'PHP', highlight: 'php' }
+    ],
+
+    init() {
+        const refreshers = [];
+
+        document.querySelectorAll('.endpoint-card[data-endpoint]').forEach(card => {
+            const endpointId = card.getAttribute('data-endpoint');
+            const body = card.querySelector('.endpoint-body');
+            if (!body || !apiConsole.endpoints[endpointId]) return;
+
+            const title = document.createElement('h4');
+            title.setAttribute('data-i18n', 'snippets.title');
+            title.textContent = i18n.t('snippets.title');
+            const container = document.createElement('div');
+            container.className = 'snippet-tabs';
+            body.appendChild(title);
+            body.appendChild(container);
+
+            // Примеры повторяют значения из формы консоли
+            const form = card.querySelector('.console-form');
+            const update = () => this.renderInto(container, endpointId, form);
+            update();
+            refreshers.push(update);
+            if (form) {
+                form.addEventListener('input', utils.debounce(update, 300));
+            }
+        });
+
+        const baseUrlInput = document.getElementById('consoleBaseUrl');
+        if (baseUrlInput) {
+            baseUrlInput.addEventListener('change', () => refreshers.forEach(update => update()));
+        }
+    },
+
+    renderInto(container, endpointId, form) {
+        const activeTab = container.querySelector('.tab-btn.active');
+        const activeLanguage = activeTab ? activeTab.getAttribute('data-language') : null;
+
+        const request = apiConsole.describe(endpointId, apiConsole.exampleValues(endpointId, form), this.placeholderKey);
+        container.innerHTML = this.render(request, `snippet-${endpointId}`, activeLanguage);
+
+        if (typeof hljs !== 'undefined') {
+            container.querySelectorAll('pre code').forEach(block => {
+                hljs.highlightElement(block);
+            });
+        }
+
+        tabs.init();
+        copyCode.init();
+    },
+
+    /**
+     * Разметка .tabs с примером на каждом языке
+     */
+    render(request, idPrefix, activeLanguage) {
+        const generated = this.generate(request);
+        const active = activeLanguage || this.languages[0].id;
+
+        return `
+            <div class="tabs">
+                <div class="tab-buttons">
+                    ${this.languages.map(language => `
+                        <button class="tab-btn${language.id === active ? ' active' : ''}" data-tab="${idPrefix}-${language.id}" data-language="${language.id}">${language.label}</button>
+                    `).join('')}
+                </div>
+                ${this.languages.map(language => `
+                    <div class="tab-content${language.id === active ? ' active' : ''}" id="${idPrefix}-${language.id}">
+                        <div class="code-block">
+                            <div class="code-header">
+                                <span>${language.label}</span>
+                                <button class="copy-btn">
+                                    <i class="fas fa-copy"></i>
+                                </button>
+                            </div>
+                            <pre><code class="language-${language.highlight}">${utils.escapeHtml(generated[language.id])}</code></pre>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    generate(request) {
+        const result = {};
+        this.languages.forEach(language => {
+            result[language.id] = this.generators[language.id].call(this, request);
+        });
+        return result;
+    },
+
+    buildUrl(request) {
+        const query = new URLSearchParams(request.query).toString();
+        return `${request.baseUrl}${request.path}${query ? `?${query}` : ''}`;
+    },
+
+    shellQuote(text) {
+        return `'${String(text).replace(/'/g, `'\\''`)}'`;
+    },
+
+    pythonLiteral(value, indent = '') {
+        if (value === null || value === undefined) return 'None';
+        if (typeof value === 'boolean') return value ? 'True' : 'False';
+        if (typeof value !== 'object') return JSON.stringify(value);
+
+        const inner = `${indent}    `;
+        const entries = Object.entries(value)
+            .map(([key, item]) => `${inner}${JSON.stringify(key)}: ${this.pythonLiteral(item, inner)}`);
+        return entries.length ? `{\n${entries.join(',\n')}\n${indent}}` : '{}';
+    },
+
+    phpLiteral(value, indent = '') {
+        if (value === null || value === undefined) return 'null';
+        if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+        if (typeof value !== 'object') return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+        const inner = `${indent}    `;
+        const entries = Array.isArray(value)
+            ? value.map(item => `${inner}${this.phpLiteral(item, inner)},`)
+            : Object.entries(value).map(([key, item]) => `${inner}${this.phpLiteral(key)} => ${this.phpLiteral(item, inner)},`);
+        return entries.length ? `[\n${entries.join('\n')}\n${indent}]` : '[]';
+    },
+
+    indentJson(value, indent) {
+        return JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+    },
+
+    generators: {
+        curl(request) {
+            const lines = [`curl -X ${request.method} ${this.shellQuote(this.buildUrl(request))}`];
+            Object.entries(request.headers).forEach(([name, value]) => {
+                lines.push(`  -H ${this.shellQuote(`${name}: ${value}`)}`);
+            });
+            if (request.body) {
+                lines.push(`  -d ${this.shellQuote(JSON.stringify(request.body))}`);
+            }
+            return lines.join(' \\\n');
+        },
+
+        httpie(request) {
+            const parts = [`http ${request.method} ${this.shellQuote(`${request.baseUrl}${request.path}`)}`];
+            Object.entries(request.query).forEach(([name, value]) => {
+                parts.push(`${name}==${this.shellQuote(value)}`);
+            });
+            Object.entries(request.headers).forEach(([name, value]) => {
+                // HTTPie сам выставляет Content-Type для JSON
+                if (name !== 'Content-Type') {
+                    parts.push(`${name}:${this.shellQuote(value)}`);
+                }
+            });
+            Object.entries(request.body || {}).forEach(([name, value]) => {
+                parts.push(typeof value === 'string'
+                    ? `${name}=${this.shellQuote(value)}`
+                    : `${name}:=${this.shellQuote(JSON.stringify(value))}`);
+            });
+            return parts.join(' \\\n  ');
+        },
+
+        python(request) {
+            const headers = { ...request.headers };
+            delete headers['Content-Type'];
+
+            const args = [`    ${JSON.stringify(`${request.baseUrl}${request.path}`)}`, `    headers=${this.pythonLiteral(headers, '    ')}`];
+            if (Object.keys(request.query).length) {
+                args.push(`    params=${this.pythonLiteral(request.query, '    ')}`);
+            }
+            if (request.body) {
+                args.push(`    json=${this.pythonLiteral(request.body, '    ')}`);
+            }
+
+            return [
+                'import requests',
+                '',
+                `response = requests.${request.method.toLowerCase()}(`,
+                `${args.join(',\n')},`,
+                '    timeout=30,',
+                ')',
+                'response.raise_for_status()',
+                'print(response.json())'
+            ].join('\n');
+        },
+
+        javascript(request) {
+            const options = [`  method: "${request.method}"`, `  headers: ${this.indentJson(request.headers, '  ')}`];
+            if (request.body) {
+                options.push(`  body: JSON.stringify(${this.indentJson(request.body, '  ')})`);
+            }
+
+            return [
+                `const response = await fetch(${JSON.stringify(this.buildUrl(request))}, {`,
+                options.join(',\n'),
+                '});',
+                '',
+                'const data = await response.json();',
+                'console.log(response.status, data);'
+            ].join('\n');
+        },
+
+        axios(request) {
+            const options = [
+                `  method: '${request.method.toLowerCase()}'`,
+                `  url: ${JSON.stringify(`${request.baseUrl}${request.path}`)}`,
+                `  headers: ${this.indentJson(request.headers, '  ')}`
+            ];
+            if (Object.keys(request.query).length) {
+                options.push(`  params: ${this.indentJson(request.query, '  ')}`);
+            }
+            if (request.body) {
+                options.push(`  data: ${this.indentJson(request.body, '  ')}`);
+            }
+
+            return [
+                "const axios = require('axios');",
+                '',
+                'axios({',
+                options.join(',\n'),
+                '})',
+                '  .then(response => console.log(response.status, response.data))',
+                '  .catch(error => console.error(error.response ? error.response.data : error.message));'
+            ].join('\n');
+        },
+
+        go(request) {
+            const imports = ['"fmt"', '"io"', '"net/http"'];
+            let bodyArg = 'nil';
+            const setup = [];
+            if (request.body) {
+                imports.push('"strings"');
+                setup.push(`\tbody := strings.NewReader(${JSON.stringify(JSON.stringify(request.body))})`);
+                bodyArg = 'body';
+            }
+
+            return [
+                'package main',
+                '',
+                'import (',
+                imports.map(name => `\t${name}`).join('\n'),
+                ')',
+                '',
+                'func main() {',
+                ...setup,
+                `\treq, err := http.NewRequest("${request.method}", ${JSON.stringify(this.buildUrl(request))}, ${bodyArg})`,
+                '\tif err != nil {',
+                '\t\tpanic(err)',
+                '\t}',
+                ...Object.entries(request.headers).map(([name, value]) => `\treq.Header.Set(${JSON.stringify(name)}, ${JSON.stringify(value)})`),
+                '',
+                '\tresp, err := http.DefaultClient.Do(req)',
+                '\tif err != nil {',
+                '\t\tpanic(err)',
+                '\t}',
+                '\tdefer resp.Body.Close()',
+                '',
+                '\tdata, err := io.ReadAll(resp.Body)',
+                '\tif err != nil {',
+                '\t\tpanic(err)',
+                '\t}',
+                '\tfmt.Println(resp.Status)',
+                '\tfmt.Println(string(data))',
+                '}'
+            ].join('\n');
+        },
+
+        php(request) {
+            const options = [
+                `    CURLOPT_URL => ${this.phpLiteral(this.buildUrl(request))},`,
+                '    CURLOPT_RETURNTRANSFER => true,',
+                `    CURLOPT_CUSTOMREQUEST => '${request.method}',`,
+                `    CURLOPT_HTTPHEADER => ${this.phpLiteral(Object.entries(request.headers).map(([name, value]) => `${name}: ${value}`), '    ')},`
+            ];
+            if (request.body) {
+                options.push(`    CURLOPT_POSTFIELDS => json_encode(${this.phpLiteral(request.body, '    ')}),`);
+            }
+
+            return [
+                '<?php',
+                '',
+                '$ch = curl_init();',
+                '',
+                'curl_setopt_array($ch, [',
+                options.join('\n'),
+                ']);',
+                '',
+                '$response = curl_exec($ch);',
+                '$status = curl_getinfo($ch, CURLINFO_HTTP_CODE);',
+                'curl_close($ch);',
+                '',
+                'echo $status . PHP_EOL;',
+                'echo $response . PHP_EOL;'
+            ].join('\n');
+        }
+    }
+};
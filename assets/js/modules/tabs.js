@@ -0,0 +1,188 @@
+/**
+ * Manus Gateway Documentation Website
+ * Вкладки с примерами на разных языках
+ */
+
+// ==================== Tabs ====================
+export const tabs = {
+    storageKey: 'manusDocs.language',
+    language: null,
+    bound: false,
+
+    // Подписи кнопок без data-language
+    aliases: {
+        'python': 'python',
+        'javascript': 'javascript',
+        'js': 'javascript',
+        'javascript/node.js': 'javascript',
+        'node.js': 'javascript',
+        'curl': 'curl',
+        'bash': 'curl',
+        'httpie': 'httpie',
+        'go': 'go',
+        'php': 'php'
+    },
+
+    init() {
+        if (!this.bound) {
+            this.bound = true;
+            this.language = localStorage.getItem(this.storageKey);
+
+            // Один обработчик на документ - init() можно вызывать после каждого рендера
+            document.addEventListener('click', (e) => {
+                const button = e.target.closest('.tabs .tab-btn');
+                if (button) {
+                    this.select(button);
+                }
+            });
+
+            // Стрелки, Home и End переключают вкладки внутри группы
+            document.addEventListener('keydown', (e) => {
+                const button = e.target.closest('.tabs .tab-btn');
+                if (button) {
+                    this.handleKey(e, button);
+                }
+            });
+        }
+
+        this.decorate(document);
+        this.apply(document);
+    },
+
+    /**
+     * Роли WAI-ARIA для групп вкладок внутри root: tablist, tab и tabpanel
+     */
+    decorate(root) {
+        root.querySelectorAll('.tabs').forEach(group => {
+            const buttons = this.buttonsOf(group);
+            if (buttons.length === 0) return;
+
+            buttons[0].parentElement.setAttribute('role', 'tablist');
+
+            buttons.forEach(button => {
+                const panelId = button.getAttribute('data-tab');
+                if (!button.id) {
+                    button.id = `${panelId}-tab`;
+                }
+                button.setAttribute('role', 'tab');
+                button.setAttribute('aria-controls', panelId);
+
+                const panel = document.getElementById(panelId);
+                if (panel) {
+                    panel.setAttribute('role', 'tabpanel');
+                    panel.setAttribute('aria-labelledby', button.id);
+                    panel.setAttribute('tabindex', '0');
+                }
+            });
+
+            this.sync(group);
+        });
+    },
+
+    buttonsOf(group) {
+        return Array.from(group.querySelectorAll('.tab-btn')).filter(btn => btn.closest('.tabs') === group);
+    },
+
+    /**
+     * aria-selected и tabindex по классу active: в группу попадают по Tab только на выбранную вкладку
+     */
+    sync(group) {
+        this.buttonsOf(group).forEach(button => {
+            const selected = button.classList.contains('active');
+            button.setAttribute('aria-selected', String(selected));
+            button.setAttribute('tabindex', selected ? '0' : '-1');
+        });
+    },
+
+    handleKey(e, button) {
+        const buttons = this.buttonsOf(button.closest('.tabs'));
+        const index = buttons.indexOf(button);
+        const targets = {
+            ArrowLeft: index - 1,
+            ArrowRight: index + 1,
+            Home: 0,
+            End: buttons.length - 1
+        };
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        const next = buttons[(targets[e.key] + buttons.length) % buttons.length];
+        this.select(next);
+        next.focus();
+    },
+
+    languageOf(button) {
+        const language = button.getAttribute('data-language')
+            || this.aliases[button.textContent.trim().toLowerCase()];
+        return language || null;
+    },
+
+    /**
+     * Переключение группы и запоминание языка для всех остальных
+     */
+    select(button) {
+        this.activate(button);
+
+        const language = this.languageOf(button);
+        if (language) {
+            this.language = language;
+            localStorage.setItem(this.storageKey, language);
+            this.apply(document);
+        }
+    },
+
+    /**
+     * Выбор сохраненного языка во всех группах внутри root
+     */
+    apply(root) {
+        if (!this.language) return;
+
+        root.querySelectorAll('.tabs').forEach(group => {
+            const button = this.buttonsOf(group).find(btn => this.languageOf(btn) === this.language);
+            if (button) {
+                this.activate(button);
+            }
+        });
+    },
+
+    activate(button) {
+        const tabGroup = button.closest('.tabs');
+        const targetTab = button.getAttribute('data-tab');
+
+        // Убираем active у всех кнопок в группе
+        tabGroup.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.remove('active');
+        });
+
+        // Добавляем active текущей кнопке
+        button.classList.add('active');
+
+        // Скрываем все tab-content в группе
+        tabGroup.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.remove('active');
+        });
+
+        // Показываем нужный tab-content
+        const targetContent = document.getElementById(targetTab);
+        if (targetContent) {
+            targetContent.classList.add('active');
+        }
+
+        this.sync(tabGroup);
+    },
+
+    /**
+     * Открывает вкладку, в которой находится element (например, найденный поиском)
+     */
+    reveal(element) {
+        const content = element.closest('.tab-content');
+        if (!content || content.classList.contains('active')) return;
+
+        const group = content.closest('.tabs');
+        const button = group && this.buttonsOf(group)
+            .find(btn => btn.getAttribute('data-tab') === content.id);
+        if (button) {
+            this.activate(button);
+        }
+    }
+};
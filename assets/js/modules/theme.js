@@ -0,0 +1,90 @@
+/**
+ * Manus Gateway Documentation Website
+ * Тема оформления и системные настройки движения
+ */
+
+// ==================== Тема оформления ====================
+export const theme = {
+    storageKey: 'manusDocs.theme',
+    themes: ['dark', 'light', 'contrast'],
+    // Выбор пользователя: 'auto' следует настройкам системы
+    choice: 'auto',
+    current: 'dark',
+
+    // Стиль highlight.js для каждой темы
+    highlightStyles: {
+        dark: 'github-dark',
+        light: 'github',
+        contrast: 'a11y-dark'
+    },
+    highlightBase: 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/',
+
+    init() {
+        this.colorScheme = window.matchMedia('(prefers-color-scheme: light)');
+        this.contrast = window.matchMedia('(prefers-contrast: more)');
+        this.motion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        const saved = localStorage.getItem(this.storageKey);
+        this.choice = this.themes.includes(saved) ? saved : 'auto';
+
+        const select = document.getElementById('themeSelect');
+        if (select) {
+            select.value = this.choice;
+            select.addEventListener('change', () => this.setTheme(select.value));
+        }
+
+        [this.colorScheme, this.contrast].forEach(query => {
+            query.addEventListener('change', () => {
+                if (this.choice === 'auto') this.apply();
+            });
+        });
+
+        this.apply();
+    },
+
+    /**
+     * Тема, которую нужно показать при текущем выборе
+     */
+    resolve() {
+        if (this.choice !== 'auto') return this.choice;
+        if (this.contrast.matches) return 'contrast';
+        return this.colorScheme.matches ? 'light' : 'dark';
+    },
+
+    /**
+     * Смена темы: 'auto' удаляет сохраненный выбор
+     */
+    setTheme(choice) {
+        this.choice = this.themes.includes(choice) ? choice : 'auto';
+        if (this.choice === 'auto') {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            localStorage.setItem(this.storageKey, this.choice);
+        }
+        this.apply();
+    },
+
+    apply() {
+        this.current = this.resolve();
+        document.documentElement.setAttribute('data-theme', this.current);
+
+        const link = document.getElementById('highlightTheme');
+        if (link) {
+            link.href = `${this.highlightBase}${this.highlightStyles[this.current]}.min.css`;
+        }
+    },
+
+    /**
+     * Пользователь просит уменьшить движение (prefers-reduced-motion)
+     */
+    reducedMotion() {
+        return Boolean(this.motion?.matches);
+    },
+
+    /**
+     * Значение behavior для scrollTo и scrollIntoView
+     */
+    scrollBehavior() {
+        return this.reducedMotion() ? 'auto' : 'smooth';
+    }
+};
@@ -0,0 +1,137 @@
+/**
+ * Manus Gateway Documentation Website
+ * Оглавление документов
+ */
+
+import { docs } from './docs.js';
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { markdown } from './markdown.js';
+import { transcript } from './transcript.js';
+import { router } from './router.js';
+
+// ==================== Оглавление документов ====================
+export const toc = {
+    observers: {},
+
+    /**
+     * Slug для заголовка: буквы (включая кириллицу), цифры и дефисы
+     */
+    slugify(text) {
+        return text
+            .toLowerCase()
+            .replace(/ё/g, 'е')
+            .replace(/[^\p{L}\p{N}\s-]/gu, '')
+            .trim()
+            .replace(/[\s-]+/g, '-') || 'section';
+    },
+
+    /**
+     * ID, ссылки-якоря и оглавление для отрендеренного документа
+     */
+    build(docType, container) {
+        const list = document.createElement('ul');
+        list.className = 'toc-list';
+        list.setAttribute('data-doc', docType);
+        if (document.querySelector(`#trans-${docType}.active`)) {
+            list.classList.add('active');
+        }
+
+        const used = {};
+        const headings = Array.from(container.querySelectorAll('h1, h2, h3, h4'));
+
+        headings.forEach(heading => {
+            const text = heading.textContent.trim();
+            let slug = this.slugify(text);
+            if (used[slug] !== undefined) {
+                used[slug] += 1;
+                slug = `${slug}-${used[slug]}`;
+            } else {
+                used[slug] = 0;
+            }
+
+            const hash = `#${docType}/${slug}`;
+            heading.id = `${docType}/${slug}`;
+
+            const anchor = document.createElement('a');
+            anchor.className = 'heading-anchor';
+            anchor.href = hash;
+            anchor.title = i18n.t('toc.copyLink');
+            anchor.innerHTML = '<i class="fas fa-link"></i>';
+            anchor.addEventListener('click', async (e) => {
+                e.preventDefault();
+                history.replaceState(null, '', hash);
+                const success = await utils.copyToClipboard(window.location.href);
+                if (success) {
+                    anchor.classList.add('copied');
+                    setTimeout(() => anchor.classList.remove('copied'), 2000);
+                }
+            });
+            heading.appendChild(anchor);
+
+            const item = document.createElement('li');
+            item.className = `toc-level-${heading.tagName.substring(1)}`;
+            item.innerHTML = `<a href="${hash}" class="toc-link">${utils.escapeHtml(text)}</a>`;
+            item.querySelector('a').addEventListener('click', (e) => {
+                e.preventDefault();
+                router.navigate(hash);
+            });
+            list.appendChild(item);
+        });
+
+        const tocContainer = document.getElementById('docToc');
+        if (tocContainer) {
+            const previous = tocContainer.querySelector(`.toc-list[data-doc="${docType}"]`);
+            if (previous) previous.remove();
+            tocContainer.appendChild(list);
+        }
+
+        this.setupScrollSpy(docType, headings, list);
+    },
+
+    /**
+     * Подсветка текущего заголовка в оглавлении при скролле
+     */
+    setupScrollSpy(docType, headings, list) {
+        if (this.observers[docType]) {
+            this.observers[docType].disconnect();
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+
+                list.querySelectorAll('.toc-link').forEach(link => {
+                    const isActive = link.getAttribute('href') === `#${entry.target.id}`;
+                    link.classList.toggle('active', isActive);
+                    if (isActive && list.parentNode) {
+                        list.parentNode.scrollTop = link.offsetTop - list.parentNode.clientHeight / 2;
+                    }
+                });
+            });
+        }, {
+            root: null,
+            rootMargin: '-80px 0px -70% 0px',
+            threshold: 0
+        });
+
+        headings.forEach(heading => observer.observe(heading));
+        this.observers[docType] = observer;
+    },
+
+    /**
+     * Переход по ссылке вида #api/polling-for-task-completion
+     */
+    openHash(hash) {
+        const match = hash.match(/^#([a-z]+)\/(.+)$/);
+        if (!match || !(match[1] in docs)) return false;
+
+        const heading = document.getElementById(`${match[1]}/${decodeURIComponent(match[2])}`);
+        if (!heading) return false;
+
+        transcript.showDocument(match[1]);
+        markdown.reveal(heading);
+        utils.smoothScrollTo(heading);
+        return true;
+    }
+};
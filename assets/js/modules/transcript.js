@@ -0,0 +1,508 @@
+/**
+ * Manus Gateway Documentation Website
+ * Интерактивный транскрипт документации
+ */
+
+import { docs } from './docs.js';
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { copyCode } from './copyCode.js';
+import { codeRunner } from './codeRunner.js';
+import { tabs } from './tabs.js';
+import { searchIndex } from './searchIndex.js';
+import { toc } from './toc.js';
+import { markdown } from './markdown.js';
+import { router } from './router.js';
+import { docRegistry } from './docRegistry.js';
+import { docVersions } from './docVersions.js';
+
+// ==================== Транскрипт ====================
+export const transcript = {
+    failed: false,
+    // Ошибки загрузки по документам: id -> { path, message }
+    errors: {},
+    // Найденные блоки и выбранный стрелками результат поиска
+    searchHits: [],
+    activeHit: -1,
+
+    async init() {
+        document.addEventListener('localechange', () => this.refresh());
+
+        this.renderShell();
+        await this.loadDocuments();
+        searchIndex.build(Object.keys(docs).filter(docType => docs[docType]));
+        this.setupNavigation();
+        this.setupControls();
+        this.setupSearch();
+    },
+
+    /**
+     * Навигация и контейнеры документов по docs/manifest.json
+     */
+    renderShell() {
+        const nav = document.getElementById('transcriptNav');
+        const container = document.getElementById('transcriptDocs');
+        if (!nav || !container) return;
+
+        nav.innerHTML = docRegistry.documents.map((doc, index) => `
+            <a href="#transcript/${doc.id}" class="trans-nav-link${index === 0 ? ' active' : ''}" data-doc="${doc.id}">
+                <i class="fas ${utils.escapeHtml(doc.icon || 'fa-file-alt')}"></i> ${utils.escapeHtml(doc.title)}
+            </a>
+        `).join('');
+
+        container.innerHTML = docRegistry.documents.map((doc, index) => `
+            <div id="trans-${doc.id}" class="transcript-doc${index === 0 ? ' active' : ''}">
+                <div class="doc-header">
+                    <h3>${utils.escapeHtml(docRegistry.fileName(doc))}</h3>
+                    <span class="doc-meta">${utils.escapeHtml(docRegistry.description(doc))}</span>
+                </div>
+                <div id="${doc.id}-content" class="doc-content"></div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Документы выбранной версии (docs/ или docs/v1/) загружаются независимо:
+     * 404 одного файла не мешает показать остальные
+     */
+    async loadDocuments() {
+        if (docRegistry.failed) {
+            this.failed = true;
+            this.showError();
+            return;
+        }
+
+        await Promise.all(docRegistry.documents.map(doc => this.loadDocument(doc)));
+    },
+
+    async loadDocument(doc) {
+        const path = docVersions.path(doc.id);
+        try {
+            const response = await fetch(path);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            docs[doc.id] = await response.text();
+            delete this.errors[doc.id];
+            this.renderDocument(doc.id, docs[doc.id]);
+        } catch (error) {
+            console.error(`Ошибка загрузки ${path}:`, error);
+            docs[doc.id] = null;
+            this.errors[doc.id] = { path, message: error.message };
+            this.showDocumentError(doc.id);
+        }
+    },
+
+    /**
+     * Перерисовка после смены языка: описания документов, заголовки врезок, подсказки ссылок и результаты поиска
+     */
+    refresh() {
+        if (this.failed) {
+            this.showError();
+            return;
+        }
+
+        docRegistry.documents.forEach(doc => {
+            const meta = document.querySelector(`#trans-${doc.id} .doc-meta`);
+            if (meta) {
+                meta.textContent = docRegistry.description(doc);
+            }
+
+            if (docs[doc.id]) {
+                this.renderDocument(doc.id, docs[doc.id]);
+            } else if (this.errors[doc.id]) {
+                this.showDocumentError(doc.id);
+            }
+        });
+        this.reindex();
+    },
+
+    /**
+     * Повторная загрузка документов после смены версии
+     */
+    async reload() {
+        await this.loadDocuments();
+        if (!this.failed) {
+            this.reindex();
+        }
+    },
+
+    /**
+     * Поисковый индекс по загруженным документам; открытый поиск выполняется заново
+     */
+    reindex() {
+        searchIndex.build(Object.keys(docs).filter(docType => docs[docType]));
+
+        const searchInput = document.getElementById('transcriptSearch');
+        if (searchInput && searchInput.value) {
+            searchInput.dispatchEvent(new Event('input'));
+        }
+    },
+
+    renderDocument(docType, content) {
+        const container = document.getElementById(`${docType}-content`);
+        if (!container) return;
+
+        this.renderMarkdown(container, content, docType);
+        toc.build(docType, container);
+    },
+
+    /**
+     * Markdown в контейнер: очистка, подсветка, копирование кода и табы.
+     * Используется и для документов, и для ответов задач в дашборде
+     */
+    renderMarkdown(container, content, prefix) {
+        // Конвертация Markdown в безопасный HTML
+        container.innerHTML = markdown.render(content);
+
+        // Подсветка кода
+        if (typeof hljs !== 'undefined') {
+            container.querySelectorAll('pre code').forEach(block => {
+                hljs.highlightElement(block);
+            });
+        }
+
+        // Добавление кнопок копирования к code blocks
+        container.querySelectorAll('pre').forEach(pre => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'code-block';
+
+            const code = pre.querySelector('code');
+            const match = code && code.className.match(/language-([\w-]+)/);
+            
+            const header = document.createElement('div');
+            header.className = 'code-header';
+            header.innerHTML = `
+                <span>${match ? utils.escapeHtml(match[1]) : 'Code'}</span>
+                <button class="copy-btn">
+                    <i class="fas fa-copy"></i>
+                </button>
+            `;
+            
+            pre.parentNode.insertBefore(wrapper, pre);
+            wrapper.appendChild(header);
+            wrapper.appendChild(pre);
+        });
+
+        this.groupCodeTabs(prefix, container);
+
+        // Реинициализация копирования и запуска примеров
+        copyCode.init();
+        codeRunner.decorate(container);
+        tabs.init();
+    },
+
+    /**
+     * Подряд идущие примеры с подписями вида "**Python:**" объединяются в табы,
+     * чтобы выбор языка синхронизировался с остальной страницей
+     */
+    groupCodeTabs(docType, container) {
+        const units = [];
+        Array.from(container.children).forEach(element => {
+            if (!element.classList.contains('code-block')) return;
+
+            const label = element.previousElementSibling;
+            const isLabel = label && label.tagName === 'P' && label.children.length === 1
+                && label.firstElementChild.tagName === 'STRONG'
+                && /:\s*$/.test(label.textContent);
+            if (!isLabel) return;
+
+            const text = label.textContent.trim()
+                .replace(/:$/, '')
+                .replace(/^Example\s*\((.+)\)$/i, '$1');
+            const language = tabs.aliases[text.toLowerCase()];
+            if (!language) return;
+
+            const previous = units[units.length - 1];
+            const run = previous && previous.block.nextElementSibling === label && !previous.run.languages.has(language)
+                ? previous.run
+                : { languages: new Set(), units: [] };
+            run.languages.add(language);
+
+            const unit = { label, block: element, text, language, run };
+            run.units.push(unit);
+            units.push(unit);
+        });
+
+        const runs = new Set(units.map(unit => unit.run));
+        let index = 0;
+        runs.forEach(run => {
+            if (run.units.length < 2) return;
+
+            const prefix = `${docType}-code-${index++}`;
+            const group = document.createElement('div');
+            group.className = 'tabs';
+            group.innerHTML = `
+                <div class="tab-buttons">
+                    ${run.units.map((unit, i) => `
+                        <button class="tab-btn${i === 0 ? ' active' : ''}" data-tab="${prefix}-${unit.language}" data-language="${unit.language}">${utils.escapeHtml(unit.text)}</button>
+                    `).join('')}
+                </div>
+            `;
+            run.units[0].label.parentNode.insertBefore(group, run.units[0].label);
+
+            run.units.forEach((unit, i) => {
+                const content = document.createElement('div');
+                content.className = `tab-content${i === 0 ? ' active' : ''}`;
+                content.id = `${prefix}-${unit.language}`;
+                content.appendChild(unit.block);
+                group.appendChild(content);
+                unit.label.remove();
+            });
+        });
+    },
+
+    setupNavigation() {
+        document.querySelectorAll('.trans-nav-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                router.navigate(`#transcript/${link.getAttribute('data-doc')}`, { scroll: false });
+            });
+        });
+    },
+
+    showDocument(docType) {
+        // Активная ссылка в навигации
+        document.querySelectorAll('.trans-nav-link').forEach(link => {
+            link.classList.toggle('active', link.getAttribute('data-doc') === docType);
+        });
+
+        // Показываем выбранный документ и его оглавление
+        document.querySelectorAll('.transcript-doc').forEach(doc => {
+            doc.classList.toggle('active', doc.id === `trans-${docType}`);
+        });
+        document.querySelectorAll('.toc-list').forEach(list => {
+            list.classList.toggle('active', list.getAttribute('data-doc') === docType);
+        });
+    },
+
+    /**
+     * Переход к найденному блоку с подсветкой
+     */
+    revealBlock(block) {
+        this.showDocument(block.docType);
+        markdown.reveal(block.element);
+        tabs.reveal(block.element);
+        utils.smoothScrollTo(block.element);
+
+        block.element.classList.remove('search-flash');
+        // Перезапуск анимации
+        void block.element.offsetWidth;
+        block.element.classList.add('search-flash');
+        setTimeout(() => block.element.classList.remove('search-flash'), 2000);
+    },
+
+    setupControls() {
+        // Развернуть всё
+        const expandAllBtn = document.getElementById('expandAll');
+        if (expandAllBtn) {
+            expandAllBtn.addEventListener('click', () => {
+                document.querySelectorAll('.doc-content details').forEach(details => {
+                    details.open = true;
+                });
+            });
+        }
+
+        // Свернуть всё
+        const collapseAllBtn = document.getElementById('collapseAll');
+        if (collapseAllBtn) {
+            collapseAllBtn.addEventListener('click', () => {
+                document.querySelectorAll('.doc-content details').forEach(details => {
+                    details.open = false;
+                });
+            });
+        }
+
+        // Скачать транскрипт
+        const downloadBtn = document.getElementById('downloadTranscript');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => {
+                this.downloadTranscript();
+            });
+        }
+    },
+
+    setupSearch() {
+        const searchInput = document.getElementById('transcriptSearch');
+        const searchResults = document.getElementById('searchResults');
+
+        if (!searchInput || !searchResults) return;
+
+        const performSearch = utils.debounce((query) => {
+            if (!query || query.length < 2) {
+                this.clearSearchResults(searchResults);
+                return;
+            }
+
+            const results = this.search(query);
+            this.displaySearchResults(results, searchResults);
+        }, 300);
+
+        searchInput.addEventListener('input', (e) => {
+            performSearch(e.target.value);
+        });
+
+        // Стрелки выбирают результат, Enter открывает, Esc закрывает список
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (this.searchHits.length === 0) return;
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.selectHit((this.activeHit + step + this.searchHits.length) % this.searchHits.length);
+            } else if (e.key === 'Enter' && this.activeHit >= 0) {
+                e.preventDefault();
+                this.revealBlock(this.searchHits[this.activeHit]);
+            } else if (e.key === 'Escape' && searchInput.value) {
+                searchInput.value = '';
+                this.clearSearchResults(searchResults);
+            }
+        });
+    },
+
+    clearSearchResults(container) {
+        const input = document.getElementById('transcriptSearch');
+        const summary = document.getElementById('searchSummary');
+
+        container.innerHTML = '';
+        if (summary) summary.textContent = '';
+        this.searchHits = [];
+        this.activeHit = -1;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    },
+
+    /**
+     * Выбор результата: поле ввода остается в фокусе, диктор читает aria-activedescendant
+     */
+    selectHit(index) {
+        const input = document.getElementById('transcriptSearch');
+        this.activeHit = index;
+
+        document.querySelectorAll('#searchResults .search-result-item').forEach(item => {
+            const isActive = Number(item.getAttribute('data-hit')) === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                item.scrollIntoView({ block: 'nearest' });
+                input.setAttribute('aria-activedescendant', item.id);
+            }
+        });
+    },
+
+    search(query) {
+        return searchIndex.query(query);
+    },
+
+    displaySearchResults(groups, container) {
+        const summary = document.getElementById('searchSummary');
+        this.clearSearchResults(container);
+
+        if (groups.length === 0) {
+            summary.textContent = i18n.t('search.noResults');
+            return;
+        }
+
+        const visibleGroups = groups.slice(0, 15);
+        const hits = this.searchHits;
+
+        summary.textContent = i18n.t('search.found', { count: groups.length });
+        container.innerHTML = `
+            ${visibleGroups.map((group, index) => `
+                <div class="search-result-group" role="group" aria-labelledby="search-group-${index}">
+                    <div class="search-result-title" id="search-group-${index}">
+                        ${utils.escapeHtml(docRegistry.title(group.docType))}${group.section ? ` › ${utils.escapeHtml(group.section.title)}` : ''}
+                    </div>
+                    ${group.hits.slice(0, 3).map(hit => {
+                        hits.push(hit.block);
+                        return `
+                            <div class="search-result-item" id="search-hit-${hits.length - 1}" role="option" aria-selected="false" data-hit="${hits.length - 1}">
+                                <div class="search-result-snippet">
+                                    ${searchIndex.snippet(hit.block.text, group.queryTerms)}
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `).join('')}
+        `;
+
+        document.getElementById('transcriptSearch').setAttribute('aria-expanded', 'true');
+
+        // Клик по результату поиска
+        container.querySelectorAll('.search-result-item[data-hit]').forEach(item => {
+            item.addEventListener('click', () => {
+                this.revealBlock(hits[Number(item.getAttribute('data-hit'))]);
+            });
+        });
+    },
+
+    highlightMatch(text, query) {
+        const queryTerms = searchIndex.tokenize(query).map(token => searchIndex.stem(token));
+        return searchIndex.highlight(text, queryTerms);
+    },
+
+    downloadTranscript() {
+        const activeDoc = document.querySelector('.transcript-doc.active');
+        if (!activeDoc) return;
+
+        const docId = activeDoc.id.replace('trans-', '');
+        const doc = docRegistry.find(docId);
+        const content = docs[docId];
+        if (!doc || !content) return;
+
+        // Имя файла из манифеста, старая версия - с ее ID: API_GUIDE-v1.md
+        const fileName = docRegistry.fileName(doc);
+        const suffix = docVersions.isOld() ? `-${docVersions.current}` : '';
+        utils.downloadFile(content, fileName.replace(/(\.\w+)?$/, `${suffix}$1`), 'text/markdown');
+    },
+
+    /**
+     * Список документов не загрузился: показывать нечего
+     */
+    showError() {
+        const container = document.getElementById('transcriptDocs');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="error-message" style="text-align: center; padding: 3rem; color: var(--error);">
+                <i class="fas fa-exclamation-triangle" style="font-size: 3rem; margin-bottom: 1rem;"></i>
+                <h3>${i18n.t('transcript.errorTitle')}</h3>
+                <p>${i18n.t(navigator.onLine ? 'transcript.errorNetwork' : 'transcript.errorOffline')}</p>
+            </div>
+        `;
+    },
+
+    /**
+     * Ошибка одного документа в его контейнере с кнопкой повтора
+     */
+    showDocumentError(docType) {
+        const container = document.getElementById(`${docType}-content`);
+        const error = this.errors[docType];
+        if (!container || !error) return;
+
+        container.innerHTML = `
+            <div class="error-message doc-error">
+                <i class="fas fa-exclamation-triangle"></i>
+                <h3>${i18n.t('transcript.docErrorTitle', { title: utils.escapeHtml(docRegistry.title(docType)) })}</h3>
+                <p>${navigator.onLine
+                    ? i18n.t('transcript.docErrorReason', { path: `<code>${utils.escapeHtml(error.path)}</code>`, reason: utils.escapeHtml(error.message) })
+                    : i18n.t('transcript.errorOffline')}</p>
+                <button class="btn btn-secondary btn-sm" data-retry="${docType}">
+                    <i class="fas fa-redo"></i> ${i18n.t('transcript.retry')}
+                </button>
+            </div>
+        `;
+
+        // Оглавление предыдущей версии документа больше не соответствует содержимому
+        document.querySelectorAll(`.toc-list[data-doc="${docType}"]`).forEach(list => list.remove());
+
+        container.querySelector('[data-retry]').addEventListener('click', () => this.retry(docType));
+    },
+
+    async retry(docType) {
+        const doc = docRegistry.find(docType);
+        if (!doc) return;
+
+        await this.loadDocument(doc);
+        this.reindex();
+    }
+};
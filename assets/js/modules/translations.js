@@ -0,0 +1,624 @@
+/**
+ * Manus Gateway Documentation Website
+ * Каталоги сообщений интерфейса: ru и en
+ * Автор: Дмитрий Жечков
+ */
+
+// Ключи вида "раздел.сообщение", параметры подставляются из {фигурных скобок}.
+// Русский текст разметки берется из index.html, поэтому в ru только сообщения модулей
+export const translations = {
+    ru: {
+        'common.and': ' и ',
+        'common.close': 'Закрыть',
+        'common.quoted': '«{text}»',
+
+        'copy.label': 'Копировать код',
+        'copy.done': 'Код скопирован',
+        'copy.failed': 'Не удалось скопировать код',
+
+        'useCases.show': 'Показать пример',
+        'useCases.notFound': 'Пример не найден',
+        'useCases.missing': 'Примера {id} нет в разделах {sections} документа SDK_DOCUMENTATION.md.',
+        'useCases.loadError': 'Не удалось загрузить примеры из SDK_DOCUMENTATION.md.',
+        'useCases.available': 'Доступные примеры:',
+
+        'toc.copyLink': 'Копировать ссылку',
+
+        'callout.note': 'Примечание',
+        'callout.tip': 'Совет',
+        'callout.important': 'Важно',
+        'callout.warning': 'Внимание',
+        'callout.caution': 'Осторожно',
+        'callout.details': 'Подробнее',
+        'callout.longCode': 'Показать пример целиком: {language}, строк: {count}',
+
+        'search.noResults': 'Ничего не найдено',
+        'search.found': 'Найдено разделов: {count}',
+
+        'transcript.errorTitle': 'Ошибка загрузки документации',
+        'transcript.errorNetwork': 'Не удалось загрузить файлы документации. Пожалуйста, проверьте подключение к интернету.',
+        'transcript.errorOffline': 'Нет подключения к интернету, а документация ещё не сохранена для офлайн-режима. Откройте сайт один раз при наличии сети.',
+        'transcript.docErrorTitle': 'Не удалось загрузить «{title}»',
+        'transcript.docErrorReason': 'Файл {path} недоступен: {reason}. Остальные документы загружены.',
+        'transcript.retry': 'Повторить',
+
+        'versions.latest': 'Актуальная',
+        'versions.release': '{label} от {date}',
+        'versions.oldBanner': 'Вы смотрите документацию версии {version}. Актуальная версия: {latest}.',
+        'versions.switched': 'Открыта версия документации: {version}',
+        'versions.loading': 'Загрузка версий...',
+        'versions.loadFailed': 'Не удалось загрузить {path}',
+        'versions.same': 'Версии документа совпадают',
+        'versions.hunks': 'фрагментов с правками: {count}',
+
+        'runner.run': 'Запустить',
+        'runner.stop': 'Остановить',
+        'runner.edit': 'Редактировать',
+        'runner.reset': 'Сбросить',
+        'runner.editor': 'Код примера',
+        'runner.output': 'Вывод примера',
+        'runner.started': 'Запуск примера, запросы идут в {target}',
+        'runner.done': 'Выполнено за {time}',
+        'runner.failed': 'Завершено с ошибкой за {time}',
+        'runner.stopped': 'Выполнение остановлено',
+        'runner.timeout': 'Пример не завершился за {time} и был остановлен',
+        'runner.truncated': 'Показаны первые {count} строк вывода',
+        'runner.unavailable': 'Модуль «{module}» недоступен в песочнице: можно импортировать только manus-gateway',
+        'runner.authHint': 'Укажите API ключ в консоли API или включите Mock Gateway',
+        'runner.networkHint': 'Сервер {baseUrl} недоступен. Включите Mock Gateway в консоли API, чтобы запускать примеры без сервера',
+
+        'export.title': 'Manus Gateway — документация',
+        'export.author': 'Дмитрий Жечков',
+        'export.toc': 'Содержание',
+        'export.noDocs': 'Выберите хотя бы один загруженный документ',
+        'export.preparing': 'Подготовка экспорта...',
+        'export.failed': 'Не удалось выполнить экспорт: {message}',
+
+        'openapi.parameters': 'Параметры:',
+        'openapi.parameter': 'Параметр',
+        'openapi.in': 'Где',
+        'openapi.type': 'Тип',
+        'openapi.default': 'По умолчанию',
+        'openapi.description': 'Описание',
+        'openapi.max': 'макс',
+        'openapi.schema': 'Схема ответа',
+        'openapi.responses': 'Коды ответа:',
+        'openapi.code': 'Код',
+        'openapi.example': 'Пример',
+        'openapi.field': 'Поле',
+        'openapi.errorTitle': 'Ошибка загрузки спецификации API',
+        'openapi.errorText': 'Не удалось загрузить {url}. Пожалуйста, проверьте подключение к интернету.',
+
+        'validator.invalidJson': 'Некорректный JSON: {message}',
+        'validator.success': 'Ожидалось success: true, получено {value}',
+        'validator.noData': 'Отсутствует поле data',
+        'validator.notList': 'Ожидался объект с массивом tasks и объектом pagination',
+        'validator.notTask': 'Ожидался объект задачи',
+        'validator.noStructure': 'Описание структуры задачи еще не загружено',
+        'validator.missingField': 'Отсутствует поле {name} ({types})',
+        'validator.wrongType': 'Поле {name}: ожидался тип {types}, получен {type}',
+        'validator.unknownStatus': 'Неизвестный статус "{value}". Допустимые значения: {values}',
+        'validator.notDate': 'Поле {name}: "{value}" не является датой ISO 8601',
+        'validator.pattern': 'Поле {name}: "{value}" не соответствует формату {pattern}',
+        'validator.undocumented': 'Недокументированное поле {name}',
+        'validator.emptyResult': 'Статус completed, но результат пустой',
+        'validator.noError': 'Статус failed, но сообщение об ошибке отсутствует',
+        'validator.noPagination': 'Отсутствует объект pagination',
+        'validator.paginationInteger': 'pagination.{name}: ожидалось неотрицательное целое число',
+        'validator.totalPages': 'totalPages = {totalPages}, а ceil(total / limit) = {expected}',
+        'validator.overLimit': 'На странице {count} задач при limit = {limit}',
+        'validator.pageOutOfRange': 'Страница {page} больше числа страниц ({pages})',
+        'validator.pageCount': 'На последней странице {page} ожидалось {expected} задач, получено {count}',
+        'validator.atLine': '{message} (строка {line})',
+        'validator.expectedChar': 'ожидался символ "{char}"',
+        'validator.unclosedString': 'незакрытая строка',
+        'validator.expectedKey': 'ожидалось имя поля в кавычках',
+        'validator.unexpectedEnd': 'неожиданный конец текста',
+        'validator.unexpectedChar': 'неожиданный символ "{char}"',
+        'validator.trailing': 'лишние символы после JSON',
+        'validator.valid': 'Ответ соответствует документации',
+        'validator.summary': 'Ошибок: {errors}, предупреждений: {warnings}',
+        'validator.source': 'Структура: {source}',
+        'validator.line': 'стр. {line}',
+
+        'units.seconds': '{value} с',
+        'units.minutes': '{value} мин',
+        'units.hours': '{value} ч',
+        'units.ms': '{value} мс',
+
+        'simulator.stats.requests': 'Запросов',
+        'simulator.stats.limited': 'Ответов 429',
+        'simulator.stats.averageDelay': 'Средняя задержка',
+        'simulator.stats.maxDelay': 'Макс. задержка',
+        'simulator.stats.totalTime': 'Все задачи за',
+        'simulator.stats.timedOut': 'Тайм-аутов',
+        'simulator.eventAt': '{event} на {time}',
+        'simulator.chart': 'Таймлайн запросов',
+        'simulator.truncated': 'Симуляция остановлена после {count} событий, задач без результата: {tasks}. Уменьшите тайм-аут или число задач либо увеличьте интервал',
+
+        'webhook.invalidPayload': 'Payload не является корректным JSON: {message}',
+        'webhook.noSecret': 'Введите секрет webhook',
+        'webhook.invalidHeader': 'Недопустимое имя заголовка подписи: {header}',
+        'webhook.unsupported': 'Web Crypto недоступен: откройте страницу по HTTPS или с localhost',
+        'webhook.verifyMissing': 'Нужны секрет, подпись и payload',
+        'webhook.valid': 'Подпись верна',
+        'webhook.invalid': 'Подпись не совпадает',
+        'webhook.invalidNoTimestamp': 'Подпись не совпадает (не указан timestamp)',
+        'webhook.corsHint': '{message}. Проверьте, что приемник запущен и разрешает CORS (Access-Control-Allow-Origin, Access-Control-Allow-Headers)',
+        'webhook.logEmpty': 'Доставок пока нет',
+        'webhook.failedStatus': 'ошибка',
+        'webhook.replay': 'Повторить',
+
+        'snippets.title': 'Примеры запроса:',
+
+        'console.mock': 'Mock Gateway (офлайн)',
+        'console.mockError': 'Ошибка следующего ответа',
+        'console.noErrors': 'Без ошибок',
+        'console.next429': 'Следующий ответ: 429',
+        'console.next500': 'Следующий ответ: 500',
+        'console.mockNote': 'Mock Gateway отвечает в браузере без сети: задачи проходят pending → sent → processing → completed примерно за 15 секунд, промпт со словом <code>fail</code> завершается статусом failed.',
+        'console.try': 'Попробовать',
+        'console.send': 'Отправить',
+        'console.sending': 'Отправка запроса...',
+        'console.required': 'Поле {name} обязательно',
+
+        'keys.unsupported': 'IndexedDB или Web Crypto недоступны: откройте страницу по HTTPS или с localhost',
+        'keys.openFailed': 'Не удалось открыть хранилище ключей',
+        'keys.noKey': 'Введите API ключ',
+        'keys.invalidKey': 'Неверный формат API ключа: ожидается manus_ и 64 шестнадцатеричных символа',
+        'keys.shortPassphrase': 'Парольная фраза должна быть не короче 8 символов',
+        'keys.wrongPassphrase': 'Неверная парольная фраза',
+        'keys.locked': 'Сначала разблокируйте хранилище',
+        'keys.noName': 'Введите название окружения',
+        'keys.invalidBaseUrl': 'Base URL должен быть полным адресом, например http://localhost:3000',
+        'keys.saved': 'Окружение «{name}» сохранено',
+        'keys.lockedUse': 'Разблокируйте хранилище, чтобы использовать окружение',
+        'keys.activated': 'Используется окружение «{name}»',
+        'keys.forgetConfirm': 'Удалить все окружения, ключи и сохраненные адреса из этого браузера?',
+        'keys.forgotten': 'Все ключи и настройки удалены',
+        'keys.unlocked': 'Хранилище разблокировано',
+        'keys.lockedState': 'Хранилище заблокировано',
+        'keys.noVault': 'Хранилище еще не создано: придумайте парольную фразу',
+        'keys.unlock': 'Разблокировать',
+        'keys.create': 'Создать хранилище',
+        'keys.empty': 'Сохраненных окружений нет',
+        'keys.active': 'Активно',
+        'keys.use': 'Использовать',
+        'keys.remove': 'Удалить {name}',
+        'keys.removeConfirm': 'Удалить окружение «{name}» и его зашифрованный ключ?',
+        'keys.removeFailed': 'Не удалось удалить окружение «{name}»',
+        'keys.decryptFailed': 'Не удалось расшифровать ключ окружения «{name}»',
+
+        'dashboard.column.taskUuid': 'Task UUID',
+        'dashboard.column.status': 'Статус',
+        'dashboard.column.prompt': 'Промпт',
+        'dashboard.column.createdAt': 'Создана',
+        'dashboard.column.updatedAt': 'Обновлена',
+        'dashboard.select': 'Выбрать {id}',
+        'dashboard.selectAll': 'Выбрать все',
+        'dashboard.noMatches': 'Нет задач, подходящих под фильтр',
+        'dashboard.noTasks': 'Задач нет',
+        'dashboard.hint': 'Укажите Base URL и API ключ и нажмите «Загрузить»',
+        'dashboard.page': 'Страница {page} из {pages} · всего {total}',
+        'dashboard.selected': 'Выбрано: {count}',
+        'dashboard.dates': 'Создана {created} · обновлена {updated}',
+        'dashboard.response': 'Ответ',
+        'dashboard.failed': 'Задача завершилась с ошибкой',
+        'dashboard.running': 'Задача еще выполняется, ответ появится после завершения',
+        'dashboard.noSpec': 'Спецификация API не загружена',
+        'dashboard.loading': 'Загрузка задач...',
+        'dashboard.rateLimited': 'Превышен лимит запросов, автообновление приостановлено на 30 секунд',
+
+        'palette.section': 'Раздел',
+        'palette.example': 'Пример',
+        'palette.recent': 'Недавние',
+
+        'pwa.docsUpdated': 'Доступна обновлённая документация',
+        'pwa.siteUpdated': 'Доступна новая версия сайта'
+    },
+
+    en: {
+        // Разметка index.html
+        'nav.home': 'Home',
+        'nav.architecture': 'Architecture',
+        'nav.transcript': 'Transcript',
+        'nav.dashboard': 'Dashboard',
+        'nav.palette': 'Quick jump',
+        'nav.language': 'Language',
+        'nav.theme': 'Theme',
+        'nav.themeAuto': 'System',
+        'nav.themeDark': 'Dark',
+        'nav.themeLight': 'Light',
+        'nav.themeContrast': 'High contrast',
+        'nav.main': 'Main navigation',
+        'nav.toggle': 'Navigation menu',
+        'nav.backToTop': 'Back to top',
+
+        'hero.description': 'A full-featured web application for working with Manus AI via email. It includes a web interface, a REST API and SDKs for Python and JavaScript.',
+        'hero.docs': 'Documentation',
+
+        'meta.author': 'Prepared by: <a href="https://t.me/llm_notes" target="_blank">Dmitry Zhechkov</a>',
+        'meta.date': 'Date: November 19, 2024',
+
+        'architecture.title': 'System Architecture',
+        'architecture.web': 'Web interface',
+        'architecture.web.create': 'Create tasks with an intuitive form',
+        'architecture.web.progress': 'Track progress in real time',
+        'architecture.web.results': 'Results rendered with Markdown support',
+        'architecture.web.keys': 'API key management',
+        'architecture.web.gmail': 'Gmail integration setup',
+        'architecture.rest.tasks': 'Create and track tasks programmatically',
+        'architecture.rest.auth': 'Authentication with API keys',
+        'architecture.rest.crud': 'Full set of CRUD operations',
+        'architecture.rest.filters': 'Filtering and pagination',
+        'architecture.rest.openapi': 'OpenAPI documentation',
+        'architecture.email': 'Email integration',
+        'architecture.email.send': 'Tasks are sent automatically via Gmail',
+        'architecture.email.track': 'Replies are tracked by unique IDs',
+        'architecture.email.push': 'Push notifications via Google Pub/Sub',
+        'architecture.email.oauth': 'Secured with OAuth 2.0',
+        'architecture.email.polling': 'Fallback polling when needed',
+        'architecture.stack': 'Technology stack',
+
+        'api.overview': 'API overview',
+        'api.overview.text': 'Manus Gateway provides a REST API for submitting tasks to Manus via email programmatically. The API follows RESTful principles with JSON requests and responses.',
+        'api.auth': 'Authentication',
+        'api.auth.text': 'All API requests must be authenticated with an API key in the <code>X-API-Key</code> header.',
+        'api.auth.steps': 'Creating an API key:',
+        'api.auth.step1': 'Sign in to the Manus Gateway web interface',
+        'api.auth.step2': 'Open the <strong>API Keys</strong> page',
+        'api.auth.step3': 'Click <strong>"Create Key"</strong>',
+        'api.auth.step4': 'Enter an optional name for the key',
+        'api.auth.step5': 'Copy the key right away (it is shown only once!)',
+        'api.auth.step6': 'Store the key securely in environment variables',
+
+        'keys.title': 'Keys and environments',
+        'keys.intro': 'Save a Base URL and API key for each environment (local, staging, prod). Keys are encrypted with an AES-GCM key derived from your passphrase (PBKDF2) and stored only in this browser\'s IndexedDB. The selected environment is used by the console and the dashboard, and the key is masked in responses and copied code.',
+        'keys.passphrase': 'Passphrase',
+        'keys.lock': 'Lock',
+        'keys.forget': 'Forget everything',
+        'keys.environment': 'Environment',
+        'keys.save': 'Save environment',
+
+        'openapi.loading': 'Loading the API specification...',
+
+        'validator.title': 'Response validation',
+        'validator.intro': 'Paste a JSON response from <code>GET /api/v1/tasks/:taskUuid</code> or <code>GET /api/v1/tasks</code>: it is checked against the task structure from the documentation — missing fields, wrong types, unknown statuses and inconsistent pagination.',
+        'validator.auto': 'Detect automatically',
+        'validator.endpoint': 'Response endpoint',
+        'validator.example': 'Example',
+        'validator.run': 'Validate',
+
+        'lifecycle.title': 'Task lifecycle',
+        'lifecycle.status': 'Status',
+        'lifecycle.description': 'Description',
+        'lifecycle.next': 'Possible next statuses',
+        'lifecycle.pending': 'Task created and queued for sending',
+        'lifecycle.sent': 'Email sent to Manus, waiting for a reply',
+        'lifecycle.processing': 'Manus is working on the task',
+        'lifecycle.completed': 'Task completed successfully, the result is available',
+        'lifecycle.final': '(final state)',
+        'lifecycle.failed': 'Task failed',
+
+        'simulator.title': 'Polling simulator',
+        'simulator.intro': 'Tune the exponential backoff from the “Polling for Task Completion” section: tasks are created at the same time and polled with a single API key limited to a number of requests per minute.',
+        'simulator.initialInterval': 'Initial interval, s',
+        'simulator.multiplier': 'Multiplier',
+        'simulator.maxInterval': 'Max interval, s',
+        'simulator.maxWait': 'Timeout (max_wait), s',
+        'simulator.rateLimit': 'Limit, requests/min',
+        'simulator.tasks': 'Concurrent tasks',
+        'simulator.durationMin': 'Task duration from, s',
+        'simulator.durationMax': 'to, s',
+        'simulator.legend.duration': 'task running',
+        'simulator.legend.delay': 'detection delay',
+        'simulator.legend.poll': 'poll',
+        'simulator.legend.done': 'completion',
+        'simulator.legend.timeout': 'timeout',
+        'simulator.reseed': 'Other durations',
+        'simulator.export': 'SDK configuration',
+
+        'webhook.title': 'Webhook playground',
+        'webhook.intro': 'Debug your task completion receiver (see “Webhook Integration” in the SDK): generate a payload, sign it with HMAC using your secret and send it to a local URL. The signature is computed in the browser with Web Crypto, and the secret never leaves the page.',
+        'webhook.url': 'Receiver URL',
+        'webhook.secret': 'Secret',
+        'webhook.header': 'Signature header',
+        'webhook.algorithm': 'HMAC algorithm',
+        'webhook.withTimestamp': 'Sign <code>timestamp.body</code> (X-Manus-Timestamp header)',
+        'webhook.event': 'Event',
+        'webhook.payload': 'Event payload',
+        'webhook.generate': 'New payload',
+        'webhook.send': 'Send',
+        'webhook.headers': 'Delivery headers',
+        'webhook.verifyTitle': 'Signature check',
+        'webhook.verify': 'Verify',
+        'webhook.log': 'Delivery log',
+        'webhook.clear': 'Clear',
+
+        'sdk.intro': 'Official Manus Gateway SDKs are available for Python and JavaScript/TypeScript and provide a convenient, type-safe interface for task automation.',
+        'sdk.tasks': 'Task management',
+        'sdk.tasks.text': 'Create, fetch and list tasks with filtering and pagination',
+        'sdk.monitoring': 'Status monitoring',
+        'sdk.monitoring.text': 'Polling with configurable intervals and automatic completion handling',
+        'sdk.errors': 'Error handling',
+        'sdk.errors.text': 'A complete exception hierarchy with automatic retries',
+        'sdk.dx.text': 'Full typing, extensive documentation and minimal dependencies',
+        'sdk.install': 'Installation',
+        'sdk.install.python': 'Requires Python 3.7 or later',
+        'sdk.install.js': 'Works in Node.js 14+ and modern browsers',
+        'sdk.quickstart': 'Quick start',
+
+        'useCases.title': 'Use cases',
+        'useCases.simple': 'Simple task submission',
+        'useCases.simple.text': 'Create a task and keep its UUID to check the status later.',
+        'useCases.show': 'Show example',
+        'useCases.batch': 'Batch processing',
+        'useCases.batch.text': 'Process several tasks at once and wait until all of them finish.',
+        'useCases.retry': 'Error handling and retries',
+        'useCases.retry.text': 'Implement robust logic with automatic retries.',
+        'useCases.pagination': 'Pagination and filtering',
+        'useCases.pagination.text': 'Fetch large numbers of tasks efficiently with filters.',
+
+        'transcript.title': 'Interactive transcript',
+        'transcript.sections': 'Documentation sections',
+        'transcript.toc': 'Contents',
+        'transcript.search': 'Search',
+        'transcript.searchPlaceholder': 'Search the documentation...',
+        'transcript.searchLabel': 'Search the documentation',
+        'transcript.searchResults': 'Search results',
+        'transcript.expandAll': 'Expand all',
+        'transcript.collapseAll': 'Collapse all',
+        'transcript.download': 'Download',
+
+        'export.toggle': 'Export',
+        'export.docs': 'Documents',
+        'export.html': 'HTML file',
+
+        'versions.label': 'Documentation version',
+        'versions.latest': 'Current',
+        'versions.whatChanged': 'What changed',
+        'versions.toLatest': 'Go to the current version',
+        'versions.compare': 'Compare versions',
+        'versions.document': 'Document',
+        'versions.from': 'Before',
+        'versions.to': 'After',
+        'versions.mode': 'View',
+        'versions.inline': 'Inline',
+        'versions.split': 'Side by side',
+
+        'dashboard.title': 'Task dashboard',
+        'dashboard.intro': 'Tasks of your API key via <code>GET /api/v1/tasks</code>: status filter, sorting, auto-refresh of tasks in progress and export of the selected tasks to CSV/JSON.',
+        'dashboard.allStatuses': 'All',
+
+        'console.mock': 'Mock Gateway (offline)',
+        'console.mockError': 'Next response error',
+
+        'dashboard.autoRefresh': 'Auto-refresh tasks in progress',
+        'dashboard.load': 'Load',
+        'dashboard.filter': 'Filter by UUID, prompt and response...',
+        'dashboard.prev': 'Previous',
+        'dashboard.next': 'Next',
+
+        'footer.about': 'A full-featured platform for working with Manus AI',
+        'footer.links': 'Links',
+        'footer.info': 'Information',
+        'footer.copyright': '&copy; 2024 Manus Gateway. All rights reserved.',
+        'footer.madeWith': 'Built with <i class="fas fa-heart"></i> for the AI community',
+
+        'palette.title': 'Command palette',
+        'palette.placeholder': 'Section, endpoint, example or heading...',
+        'palette.label': 'Section, endpoint, example or heading',
+        'palette.results': 'Results',
+        'palette.select': '<kbd>↑</kbd><kbd>↓</kbd> select',
+        'palette.open': '<kbd>Enter</kbd> open',
+        'palette.close': '<kbd>Esc</kbd> close',
+
+        'pwa.docsUpdated': 'Updated documentation is available',
+        'pwa.reload': 'Reload',
+
+        'common.close': 'Close',
+
+        // Сообщения модулей
+        'common.and': ' and ',
+        'common.quoted': '“{text}”',
+
+        'copy.label': 'Copy code',
+        'copy.done': 'Code copied',
+        'copy.failed': 'Could not copy the code',
+
+        'useCases.notFound': 'Example not found',
+        'useCases.missing': 'Example {id} is not in the {sections} sections of SDK_DOCUMENTATION.md.',
+        'useCases.loadError': 'Could not load the examples from SDK_DOCUMENTATION.md.',
+        'useCases.available': 'Available examples:',
+
+        'toc.copyLink': 'Copy link',
+
+        'callout.note': 'Note',
+        'callout.tip': 'Tip',
+        'callout.important': 'Important',
+        'callout.warning': 'Warning',
+        'callout.caution': 'Caution',
+        'callout.details': 'Details',
+        'callout.longCode': 'Show the full example: {language}, {count} lines',
+
+        'search.noResults': 'Nothing found',
+        'search.found': 'Sections found: {count}',
+
+        'transcript.errorTitle': 'Failed to load the documentation',
+        'transcript.errorNetwork': 'Could not load the documentation files. Please check your internet connection.',
+        'transcript.errorOffline': 'You are offline and the documentation has not been saved for offline use yet. Open the site once while online.',
+        'transcript.docErrorTitle': 'Failed to load “{title}”',
+        'transcript.docErrorReason': 'The file {path} is unavailable: {reason}. The other documents are loaded.',
+        'transcript.retry': 'Retry',
+
+        'versions.release': '{label} of {date}',
+        'versions.oldBanner': 'You are viewing the documentation for version {version}. The current version is {latest}.',
+        'versions.switched': 'Documentation version opened: {version}',
+        'versions.loading': 'Loading versions...',
+        'versions.loadFailed': 'Could not load {path}',
+        'versions.same': 'The document versions are identical',
+        'versions.hunks': 'changed fragments: {count}',
+
+        'runner.run': 'Run',
+        'runner.stop': 'Stop',
+        'runner.edit': 'Edit',
+        'runner.reset': 'Reset',
+        'runner.editor': 'Example code',
+        'runner.output': 'Example output',
+        'runner.started': 'Running the example, requests go to {target}',
+        'runner.done': 'Finished in {time}',
+        'runner.failed': 'Failed after {time}',
+        'runner.stopped': 'Execution stopped',
+        'runner.timeout': 'The example did not finish within {time} and was stopped',
+        'runner.truncated': 'Showing the first {count} output lines',
+        'runner.unavailable': 'The “{module}” module is not available in the sandbox: only manus-gateway can be imported',
+        'runner.authHint': 'Set an API key in the API console or enable Mock Gateway',
+        'runner.networkHint': 'The {baseUrl} server is unreachable. Enable Mock Gateway in the API console to run examples without a server',
+
+        'export.title': 'Manus Gateway — documentation',
+        'export.author': 'Dmitry Zhechkov',
+        'export.toc': 'Contents',
+        'export.noDocs': 'Select at least one loaded document',
+        'export.preparing': 'Preparing the export...',
+        'export.failed': 'Export failed: {message}',
+
+        'openapi.parameters': 'Parameters:',
+        'openapi.parameter': 'Parameter',
+        'openapi.in': 'In',
+        'openapi.type': 'Type',
+        'openapi.default': 'Default',
+        'openapi.description': 'Description',
+        'openapi.max': 'max',
+        'openapi.schema': 'Response schema',
+        'openapi.responses': 'Response codes:',
+        'openapi.code': 'Code',
+        'openapi.example': 'Example',
+        'openapi.field': 'Field',
+        'openapi.errorTitle': 'Failed to load the API specification',
+        'openapi.errorText': 'Could not load {url}. Please check your internet connection.',
+
+        'validator.invalidJson': 'Invalid JSON: {message}',
+        'validator.success': 'Expected success: true, got {value}',
+        'validator.noData': 'Missing field data',
+        'validator.notList': 'Expected an object with a tasks array and a pagination object',
+        'validator.notTask': 'Expected a task object',
+        'validator.noStructure': 'The task structure has not been loaded yet',
+        'validator.missingField': 'Missing field {name} ({types})',
+        'validator.wrongType': 'Field {name}: expected type {types}, got {type}',
+        'validator.unknownStatus': 'Unknown status "{value}". Allowed values: {values}',
+        'validator.notDate': 'Field {name}: "{value}" is not an ISO 8601 date',
+        'validator.pattern': 'Field {name}: "{value}" does not match the format {pattern}',
+        'validator.undocumented': 'Undocumented field {name}',
+        'validator.emptyResult': 'Status is completed, but the result is empty',
+        'validator.noError': 'Status is failed, but the error message is missing',
+        'validator.noPagination': 'Missing pagination object',
+        'validator.paginationInteger': 'pagination.{name}: expected a non-negative integer',
+        'validator.totalPages': 'totalPages = {totalPages}, but ceil(total / limit) = {expected}',
+        'validator.overLimit': '{count} tasks on the page with limit = {limit}',
+        'validator.pageOutOfRange': 'Page {page} exceeds the number of pages ({pages})',
+        'validator.pageCount': 'Expected {expected} tasks on the last page {page}, got {count}',
+        'validator.atLine': '{message} (line {line})',
+        'validator.expectedChar': 'expected "{char}"',
+        'validator.unclosedString': 'unterminated string',
+        'validator.expectedKey': 'expected a quoted field name',
+        'validator.unexpectedEnd': 'unexpected end of input',
+        'validator.unexpectedChar': 'unexpected character "{char}"',
+        'validator.trailing': 'unexpected characters after JSON',
+        'validator.valid': 'The response matches the documentation',
+        'validator.summary': 'Errors: {errors}, warnings: {warnings}',
+        'validator.source': 'Structure: {source}',
+        'validator.line': 'line {line}',
+
+        'units.seconds': '{value} s',
+        'units.minutes': '{value} min',
+        'units.hours': '{value} h',
+        'units.ms': '{value} ms',
+
+        'simulator.stats.requests': 'Requests',
+        'simulator.stats.limited': '429 responses',
+        'simulator.stats.averageDelay': 'Average delay',
+        'simulator.stats.maxDelay': 'Max delay',
+        'simulator.stats.totalTime': 'All tasks done in',
+        'simulator.stats.timedOut': 'Timeouts',
+        'simulator.eventAt': '{event} at {time}',
+        'simulator.chart': 'Request timeline',
+        'simulator.truncated': 'The simulation stopped after {count} events with {tasks} tasks unfinished. Lower the timeout or the number of tasks, or raise the interval',
+
+        'webhook.invalidPayload': 'The payload is not valid JSON: {message}',
+        'webhook.noSecret': 'Enter the webhook secret',
+        'webhook.invalidHeader': 'Invalid signature header name: {header}',
+        'webhook.unsupported': 'Web Crypto is unavailable: open the page over HTTPS or from localhost',
+        'webhook.verifyMissing': 'A secret, a signature and a payload are required',
+        'webhook.valid': 'The signature is valid',
+        'webhook.invalid': 'The signature does not match',
+        'webhook.invalidNoTimestamp': 'The signature does not match (no timestamp given)',
+        'webhook.corsHint': '{message}. Check that the receiver is running and allows CORS (Access-Control-Allow-Origin, Access-Control-Allow-Headers)',
+        'webhook.logEmpty': 'No deliveries yet',
+        'webhook.failedStatus': 'error',
+        'webhook.replay': 'Replay',
+
+        'snippets.title': 'Request examples:',
+
+        'console.noErrors': 'No errors',
+        'console.next429': 'Next response: 429',
+        'console.next500': 'Next response: 500',
+        'console.mockNote': 'Mock Gateway answers in the browser without a network: tasks go through pending → sent → processing → completed in about 15 seconds, and a prompt containing the word <code>fail</code> ends with the failed status.',
+        'console.try': 'Try it',
+        'console.send': 'Send',
+        'console.sending': 'Sending the request...',
+        'console.required': 'The {name} field is required',
+
+        'keys.unsupported': 'IndexedDB or Web Crypto is unavailable: open the page over HTTPS or from localhost',
+        'keys.openFailed': 'Could not open the key vault',
+        'keys.noKey': 'Enter an API key',
+        'keys.invalidKey': 'Invalid API key format: expected manus_ followed by 64 hexadecimal characters',
+        'keys.shortPassphrase': 'The passphrase must be at least 8 characters long',
+        'keys.wrongPassphrase': 'Wrong passphrase',
+        'keys.locked': 'Unlock the vault first',
+        'keys.noName': 'Enter an environment name',
+        'keys.invalidBaseUrl': 'The Base URL must be a full address, for example http://localhost:3000',
+        'keys.saved': 'Environment “{name}” saved',
+        'keys.lockedUse': 'Unlock the vault to use an environment',
+        'keys.activated': 'Using environment “{name}”',
+        'keys.forgetConfirm': 'Delete all environments, keys and saved addresses from this browser?',
+        'keys.forgotten': 'All keys and settings have been deleted',
+        'keys.unlocked': 'Vault unlocked',
+        'keys.lockedState': 'Vault locked',
+        'keys.noVault': 'No vault yet: choose a passphrase',
+        'keys.unlock': 'Unlock',
+        'keys.create': 'Create vault',
+        'keys.empty': 'No saved environments',
+        'keys.active': 'Active',
+        'keys.use': 'Use',
+        'keys.remove': 'Delete {name}',
+        'keys.removeConfirm': 'Delete environment “{name}” and its encrypted key?',
+        'keys.removeFailed': 'Could not delete environment “{name}”',
+        'keys.decryptFailed': 'Could not decrypt the key of environment “{name}”',
+
+        'dashboard.column.taskUuid': 'Task UUID',
+        'dashboard.column.status': 'Status',
+        'dashboard.column.prompt': 'Prompt',
+        'dashboard.column.createdAt': 'Created',
+        'dashboard.column.updatedAt': 'Updated',
+        'dashboard.select': 'Select {id}',
+        'dashboard.selectAll': 'Select all',
+        'dashboard.noMatches': 'No tasks match the filter',
+        'dashboard.noTasks': 'No tasks',
+        'dashboard.hint': 'Enter a Base URL and an API key and click “Load”',
+        'dashboard.page': 'Page {page} of {pages} · {total} total',
+        'dashboard.selected': 'Selected: {count}',
+        'dashboard.dates': 'Created {created} · updated {updated}',
+        'dashboard.response': 'Response',
+        'dashboard.failed': 'The task failed',
+        'dashboard.running': 'The task is still running; the response will appear once it completes',
+        'dashboard.noSpec': 'The API specification is not loaded',
+        'dashboard.loading': 'Loading tasks...',
+        'dashboard.rateLimited': 'Rate limit exceeded, auto-refresh paused for 30 seconds',
+
+        'palette.section': 'Section',
+        'palette.example': 'Example',
+        'palette.recent': 'Recent',
+
+        'pwa.siteUpdated': 'A new version of the site is available'
+    }
+};
@@ -0,0 +1,214 @@
+/**
+ * Manus Gateway Documentation Website
+ * Примеры использования из SDK_DOCUMENTATION.md
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { copyCode } from './copyCode.js';
+import { codeRunner } from './codeRunner.js';
+import { tabs } from './tabs.js';
+import { modal as modalModule } from './modal.js';
+import { toc } from './toc.js';
+import { router } from './router.js';
+
+// ==================== Use Cases ====================
+export const useCases = {
+    // Каталог строится из SDK_DOCUMENTATION.md после загрузки документов
+    cases: {},
+    loaded: false,
+
+    // Разделы документа с парными Python/JavaScript примерами
+    sections: ['Common Use Cases', 'Advanced Integration Patterns'],
+
+    // Короткие ID из ранних ссылок вида #usecase/retry
+    aliases: {
+        simple: 'simple-task-submission',
+        batch: 'batch-processing',
+        retry: 'error-handling-and-retries',
+        pagination: 'pagination-and-filtering'
+    },
+
+    languages: [
+        { id: 'python', label: 'Python' },
+        { id: 'javascript', label: 'JavaScript' }
+    ],
+
+    init() {
+        // Глобальная функция для открытия use case: через роутер, чтобы ссылка была в URL
+        window.showUseCase = (caseId) => {
+            router.navigate(`#usecase/${caseId}`);
+        };
+    },
+
+    load(markdown) {
+        this.cases = markdown ? this.parse(markdown) : {};
+        this.loaded = Boolean(markdown);
+        this.renderCards();
+    },
+
+    /**
+     * Извлечение примеров: каждый "###" раздел с блоками ```python / ```javascript
+     */
+    parse(markdown) {
+        const cases = {};
+
+        markdown.split(/^## /m).slice(1).forEach(chapter => {
+            const [chapterTitle, ...chapterLines] = chapter.split('\n');
+            if (!this.sections.includes(chapterTitle.trim())) return;
+
+            chapterLines.join('\n').split(/^### /m).slice(1).forEach(part => {
+                const [rawTitle, ...lines] = part.split('\n');
+                const text = lines.join('\n');
+                const title = rawTitle.replace(/^Use Case \d+:\s*/, '').trim();
+
+                const code = {};
+                const fence = /```(\w+)\n([\s\S]*?)```/g;
+                let match;
+                while ((match = fence.exec(text)) !== null) {
+                    const language = match[1] === 'js' ? 'javascript' : match[1];
+                    if (this.languages.some(l => l.id === language) && !code[language]) {
+                        code[language] = match[2].replace(/\n$/, '');
+                    }
+                }
+                if (Object.keys(code).length === 0) return;
+
+                const description = text
+                    .split(/\n\s*\n/)
+                    .map(paragraph => paragraph.trim())
+                    .find(paragraph => paragraph && !paragraph.startsWith('**') && !paragraph.startsWith('```')) || '';
+
+                cases[toc.slugify(title)] = {
+                    title,
+                    description,
+                    section: chapterTitle.trim(),
+                    ...code
+                };
+            });
+        });
+
+        return cases;
+    },
+
+    resolveId(caseId) {
+        return this.aliases[caseId] || caseId;
+    },
+
+    /**
+     * Карточки для примеров из документации, которых нет в разметке
+     */
+    renderCards() {
+        const grid = document.querySelector('.use-case-grid');
+        if (!grid) return;
+
+        const existing = Array.from(grid.querySelectorAll('[data-use-case]'))
+            .map(card => this.resolveId(card.getAttribute('data-use-case')));
+
+        Object.entries(this.cases).forEach(([caseId, useCase]) => {
+            if (existing.includes(caseId)) return;
+
+            const card = document.createElement('div');
+            card.className = 'use-case-card';
+            card.setAttribute('data-use-case', caseId);
+            card.innerHTML = `
+                <h4><i class="fas fa-puzzle-piece"></i> ${utils.escapeHtml(useCase.title)}</h4>
+                <p>${utils.escapeHtml(useCase.description)}</p>
+                <button class="btn btn-sm" data-i18n="useCases.show">
+                    ${i18n.t('useCases.show')}
+                </button>
+            `;
+            card.querySelector('button').addEventListener('click', () => window.showUseCase(caseId));
+            grid.appendChild(card);
+        });
+    },
+
+    show(caseId) {
+        const useCase = this.cases[this.resolveId(caseId)];
+        if (!useCase) {
+            this.showError(caseId);
+            return;
+        }
+
+        const modal = document.getElementById('useCaseModal');
+        const title = document.getElementById('useCaseTitle');
+        const codeContainer = document.getElementById('useCaseCode');
+
+        if (modal && title && codeContainer) {
+            title.textContent = useCase.title;
+
+            const languages = this.languages.filter(language => useCase[language.id]);
+            const slug = this.resolveId(caseId);
+
+            codeContainer.innerHTML = `
+                <p class="use-case-description">${utils.escapeHtml(useCase.description)}</p>
+                <div class="tabs">
+                    <div class="tab-buttons">
+                        ${languages.map((language, index) => `
+                            <button class="tab-btn${index === 0 ? ' active' : ''}" data-tab="uc-${language.id}-${slug}" data-language="${language.id}">${language.label}</button>
+                        `).join('')}
+                    </div>
+                    ${languages.map((language, index) => `
+                        <div class="tab-content${index === 0 ? ' active' : ''}" id="uc-${language.id}-${slug}">
+                            <div class="code-block">
+                                <div class="code-header">
+                                    <span>${language.label}</span>
+                                    <button class="copy-btn">
+                                        <i class="fas fa-copy"></i>
+                                    </button>
+                                </div>
+                                <pre><code class="language-${language.id}">${utils.escapeHtml(useCase[language.id])}</code></pre>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+
+            // Подсветка кода
+            if (typeof hljs !== 'undefined') {
+                modal.querySelectorAll('pre code').forEach(block => {
+                    hljs.highlightElement(block);
+                });
+            }
+
+            // Инициализация табов в модальном окне
+            tabs.init();
+            copyCode.init();
+            codeRunner.decorate(codeContainer);
+
+            // Открытие модального окна
+            modalModule.open('useCaseModal');
+        }
+    },
+
+    /**
+     * Сообщение об отсутствующем примере со списком доступных
+     */
+    showError(caseId) {
+        const title = document.getElementById('useCaseTitle');
+        const codeContainer = document.getElementById('useCaseCode');
+        if (!title || !codeContainer) return;
+
+        title.textContent = i18n.t('useCases.notFound');
+
+        const available = Object.entries(this.cases);
+        codeContainer.innerHTML = `
+            <div class="use-case-error">
+                <i class="fas fa-exclamation-triangle"></i>
+                ${this.loaded
+                    ? `<p>${i18n.t('useCases.missing', {
+                        id: `<code>${utils.escapeHtml(caseId)}</code>`,
+                        sections: this.sections.map(s => i18n.t('common.quoted', { text: s })).join(i18n.t('common.and'))
+                    })}</p>`
+                    : `<p>${i18n.t('useCases.loadError')}</p>`}
+                ${available.length ? `
+                    <p>${i18n.t('useCases.available')}</p>
+                    <ul>
+                        ${available.map(([id, useCase]) => `<li><a href="#usecase/${id}">${utils.escapeHtml(useCase.title)}</a></li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+
+        modalModule.open('useCaseModal');
+    }
+};
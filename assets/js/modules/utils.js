@@ -0,0 +1,119 @@
+/**
+ * Manus Gateway Documentation Website
+ * Общие утилиты
+ */
+
+import { i18n } from './i18n.js';
+import { theme } from './theme.js';
+
+// ==================== Утилиты ====================
+export const utils = {
+    /**
+     * Плавная прокрутка к элементу
+     */
+    smoothScrollTo(element) {
+        const headerOffset = 80;
+        const elementPosition = element.getBoundingClientRect().top;
+        const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
+
+        window.scrollTo({
+            top: offsetPosition,
+            behavior: theme.scrollBehavior()
+        });
+    },
+
+    /**
+     * Debounce функция
+     */
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    },
+
+    /**
+     * Копирование текста в буфер обмена
+     */
+    async copyToClipboard(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (err) {
+            // Fallback для старых браузеров
+            const textArea = document.createElement('textarea');
+            textArea.value = text;
+            textArea.style.position = 'fixed';
+            textArea.style.left = '-999999px';
+            document.body.appendChild(textArea);
+            textArea.focus();
+            textArea.select();
+            try {
+                document.execCommand('copy');
+                textArea.remove();
+                return true;
+            } catch (err) {
+                textArea.remove();
+                return false;
+            }
+        }
+    },
+
+    /**
+     * Форматирование даты на языке интерфейса
+     */
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        const options = {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        };
+        return date.toLocaleDateString(i18n.tag(), options);
+    },
+
+    /**
+     * Экранирование HTML. Кавычки тоже заменяются: результат подставляется и в атрибуты
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Скачивание сгенерированного файла
+     */
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Сообщение для экранных дикторов через общий live-регион.
+     * Текст очищается заранее, чтобы одинаковые сообщения подряд тоже зачитывались
+     */
+    announce(message) {
+        const region = document.getElementById('liveRegion');
+        if (!region) return;
+
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+};
@@ -0,0 +1,299 @@
+/**
+ * Manus Gateway Documentation Website
+ * Песочница webhook
+ */
+
+import { utils } from './utils.js';
+import { i18n } from './i18n.js';
+import { mockGateway } from './mockGateway.js';
+import { keyManager } from './keyManager.js';
+
+// ==================== Песочница webhook ====================
+export const webhookPlayground = {
+    storageKey: 'manusDocs.webhookUrl',
+    // Секрет хранится только в памяти страницы
+    settings: {
+        url: 'http://localhost:3000/webhook/task-completed',
+        secret: '',
+        header: 'X-Manus-Signature',
+        algorithm: 'SHA-256',
+        withTimestamp: true
+    },
+    deliveries: [],
+    maxDeliveries: 20,
+    // Имя заголовка - token из RFC 9110, иначе fetch отклоняет запрос с TypeError
+    headerPattern: /^[!#$%&'*+.^_`|~0-9a-z-]+$/i,
+
+    events: {
+        'task.completed': { status: 'completed', result: 'Based on recent research and industry reports...', errorMessage: null },
+        'task.failed': { status: 'failed', result: null, errorMessage: 'Manus did not respond within the expected time' },
+        'task.processing': { status: 'processing', result: null, errorMessage: null }
+    },
+
+    init() {
+        const panel = document.getElementById('webhookPlayground');
+        if (!panel) return;
+
+        const savedUrl = localStorage.getItem(this.storageKey);
+        if (savedUrl) {
+            this.settings.url = savedUrl;
+        }
+
+        const urlInput = document.getElementById('webhookUrl');
+        urlInput.value = this.settings.url;
+        urlInput.addEventListener('change', () => {
+            this.settings.url = urlInput.value.trim();
+            localStorage.setItem(this.storageKey, this.settings.url);
+        });
+
+        const refresh = utils.debounce(() => this.updateSignature(), 200);
+        [
+            ['webhookSecret', 'secret'],
+            ['webhookHeader', 'header'],
+            ['webhookAlgorithm', 'algorithm']
+        ].forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', () => {
+                this.settings[key] = input.value.trim();
+                refresh();
+            });
+        });
+        document.getElementById('webhookTimestamp').addEventListener('change', (e) => {
+            this.settings.withTimestamp = e.target.checked;
+            refresh();
+        });
+
+        document.getElementById('webhookPayload').addEventListener('input', refresh);
+        document.getElementById('webhookEvent').addEventListener('change', () => this.generate());
+        document.getElementById('webhookGenerate').addEventListener('click', () => this.generate());
+        document.getElementById('webhookSend').addEventListener('click', () => this.send());
+        document.getElementById('webhookVerify').addEventListener('click', () => this.verifyInput());
+        document.getElementById('webhookClearLog').addEventListener('click', () => {
+            this.deliveries = [];
+            this.renderLog();
+        });
+
+        document.addEventListener('localechange', () => {
+            this.updateSignature();
+            this.renderLog();
+        });
+
+        this.generate();
+        this.renderLog();
+    },
+
+    /**
+     * Пример payload события (task_uuid, как в обработчиках из SDK документации)
+     */
+    samplePayload(event) {
+        const now = new Date();
+        const details = this.events[event];
+        return {
+            event,
+            task_uuid: mockGateway.generateUuid(),
+            status: details.status,
+            prompt: 'Analyze the latest trends in AI development',
+            result: details.result,
+            error_message: details.errorMessage,
+            created_at: new Date(now.getTime() - 15 * 60 * 1000).toISOString(),
+            updated_at: now.toISOString()
+        };
+    },
+
+    generate() {
+        const event = document.getElementById('webhookEvent').value;
+        document.getElementById('webhookPayload').value = JSON.stringify(this.samplePayload(event), null, 2);
+        this.updateSignature();
+    },
+
+    isSupported() {
+        return typeof crypto !== 'undefined' && crypto.subtle;
+    },
+
+    async importKey(secret, usages) {
+        return crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(secret),
+            { name: 'HMAC', hash: this.settings.algorithm },
+            false,
+            usages
+        );
+    },
+
+    // С меткой времени подписывается "timestamp.body" - это защищает от повторной отправки
+    signedContent(body, timestamp) {
+        return this.settings.withTimestamp ? `${timestamp}.${body}` : body;
+    },
+
+    prefix() {
+        return `${this.settings.algorithm.replace('-', '').toLowerCase()}=`;
+    },
+
+    /**
+     * HMAC подпись в hex с префиксом алгоритма: sha256=...
+     */
+    async sign(body, timestamp) {
+        const key = await this.importKey(this.settings.secret, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(this.signedContent(body, timestamp)));
+        const hex = Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+        return `${this.prefix()}${hex}`;
+    },
+
+    /**
+     * Проверка подписи через crypto.subtle.verify - сравнение за постоянное время
+     */
+    async verify(body, timestamp, signature) {
+        const hex = signature.trim().replace(/^[a-z0-9]+=/i, '');
+        if (!/^[0-9a-f]+$/i.test(hex) || hex.length % 2 !== 0) return false;
+
+        const bytes = new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+        const key = await this.importKey(this.settings.secret, ['verify']);
+        return crypto.subtle.verify('HMAC', key, bytes, new TextEncoder().encode(this.signedContent(body, timestamp)));
+    },
+
+    /**
+     * Ошибка с ключом каталога: журнал переводит ее заново при смене языка
+     */
+    error(key, params = {}) {
+        return Object.assign(new Error(i18n.t(key, params)), { key, params });
+    },
+
+    /**
+     * Заголовки доставки для текущего payload
+     */
+    async buildDelivery() {
+        const body = document.getElementById('webhookPayload').value;
+        let event = 'unknown';
+        try {
+            event = JSON.parse(body).event || event;
+        } catch (error) {
+            throw this.error('webhook.invalidPayload', { message: error.message });
+        }
+        if (!this.settings.secret) {
+            throw this.error('webhook.noSecret');
+        }
+        const header = this.settings.header || 'X-Manus-Signature';
+        if (!this.headerPattern.test(header)) {
+            throw this.error('webhook.invalidHeader', { header });
+        }
+
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Manus-Event': event,
+            'X-Manus-Delivery': crypto.randomUUID ? crypto.randomUUID() : mockGateway.generateUuid()
+        };
+        if (this.settings.withTimestamp) {
+            headers['X-Manus-Timestamp'] = timestamp;
+        }
+        headers[header] = await this.sign(body, timestamp);
+
+        return { event, body, timestamp, headers };
+    },
+
+    async updateSignature() {
+        const output = document.getElementById('webhookHeaders');
+        if (!this.isSupported()) {
+            output.innerHTML = `<div class="console-status error">${i18n.t('webhook.unsupported')}</div>`;
+            return;
+        }
+
+        try {
+            const delivery = await this.buildDelivery();
+            output.innerHTML = `<pre><code>${utils.escapeHtml(Object.entries(delivery.headers).map(([name, value]) => `${name}: ${value}`).join('\n'))}</code></pre>`;
+        } catch (error) {
+            output.innerHTML = `<div class="console-status error">${utils.escapeHtml(error.message)}</div>`;
+        }
+    },
+
+    async verifyInput() {
+        const output = document.getElementById('webhookVerifyResult');
+        const signature = document.getElementById('webhookVerifySignature').value;
+        const timestamp = document.getElementById('webhookVerifyTimestamp').value.trim();
+        const body = document.getElementById('webhookPayload').value;
+
+        if (!this.isSupported() || !this.settings.secret || !signature.trim()) {
+            output.innerHTML = `<div class="console-status error">${i18n.t('webhook.verifyMissing')}</div>`;
+            return;
+        }
+
+        const valid = await this.verify(body, timestamp, signature);
+        output.innerHTML = valid
+            ? `<div class="console-status success"><i class="fas fa-check-circle"></i> ${i18n.t('webhook.valid')}</div>`
+            : `<div class="console-status error"><i class="fas fa-times-circle"></i> ${i18n.t(this.settings.withTimestamp && !timestamp ? 'webhook.invalidNoTimestamp' : 'webhook.invalid')}</div>`;
+    },
+
+    async send(delivery) {
+        try {
+            delivery = delivery || await this.buildDelivery();
+        } catch (error) {
+            // Ошибка Web Crypto без ключа выводится как есть: t() возвращает неизвестный ключ без изменений
+            this.addDelivery({ url: this.settings.url, event: '-', error: { key: error.key || error.message, params: error.params } });
+            return;
+        }
+
+        const url = this.settings.url;
+        const startTime = performance.now();
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: delivery.headers,
+                body: delivery.body
+            });
+            const text = await response.text();
+            this.addDelivery({
+                url,
+                event: delivery.event,
+                status: response.status,
+                ok: response.ok,
+                duration: Math.round(performance.now() - startTime),
+                response: text.slice(0, 500),
+                delivery
+            });
+        } catch (error) {
+            this.addDelivery({
+                url,
+                event: delivery.event,
+                duration: Math.round(performance.now() - startTime),
+                // Браузер не раскрывает причину: в журнале добавляется подсказка про CORS preflight
+                error: { key: 'webhook.corsHint', params: { message: error.message } },
+                delivery
+            });
+        }
+    },
+
+    addDelivery(entry) {
+        this.deliveries.unshift({ ...entry, time: new Date() });
+        this.deliveries = this.deliveries.slice(0, this.maxDeliveries);
+        this.renderLog();
+    },
+
+    renderLog() {
+        const log = document.getElementById('webhookLog');
+        if (this.deliveries.length === 0) {
+            log.innerHTML = `<p class="webhook-log-empty">${i18n.t('webhook.logEmpty')}</p>`;
+            return;
+        }
+
+        log.innerHTML = this.deliveries.map((entry, index) => `
+            <div class="webhook-delivery ${entry.ok ? 'success' : 'error'}">
+                <div class="webhook-delivery-header">
+                    <span class="webhook-delivery-status">${entry.status || i18n.t('webhook.failedStatus')}</span>
+                    <code>${utils.escapeHtml(entry.event)}</code>
+                    <span class="webhook-delivery-url">${utils.escapeHtml(entry.url)}</span>
+                    <span class="webhook-delivery-meta">${entry.time.toLocaleTimeString(i18n.tag())}${entry.duration !== undefined ? ` · ${i18n.t('units.ms', { value: entry.duration })}` : ''}</span>
+                    ${entry.delivery ? `<button class="btn btn-secondary btn-sm webhook-replay" data-index="${index}"><i class="fas fa-redo"></i> ${i18n.t('webhook.replay')}</button>` : ''}
+                </div>
+                ${entry.error ? `<p class="webhook-delivery-error">${utils.escapeHtml(i18n.t(entry.error.key, entry.error.params))}</p>` : ''}
+                ${entry.response ? `<pre><code>${utils.escapeHtml(keyManager.redact(entry.response))}</code></pre>` : ''}
+            </div>
+        `).join('');
+
+        // Повтор - та же доставка с той же подписью, для проверки защиты от replay
+        log.querySelectorAll('.webhook-replay').forEach(button => {
+            button.addEventListener('click', () => {
+                this.send(this.deliveries[Number(button.getAttribute('data-index'))].delivery);
+            });
+        });
+    }
+};
@@ -0,0 +1,162 @@
+/**
+ * Manus Gateway Documentation Website
+ * Service worker: офлайн-режим и кэширование документации
+ * Автор: Дмитрий Жечков
+ */
+
+// При изменении списка файлов или стратегии увеличьте версию
+const CACHE_VERSION = 'manus-docs-v10';
+
+// ==================== Список предзагрузки ====================
+const LOCAL_ASSETS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'openapi.json',
+    'assets/css/styles.css',
+    'assets/css/export.css',
+    'assets/js/app.js',
+    'assets/js/modules/docs.js',
+    'assets/js/modules/utils.js',
+    'assets/js/modules/i18n.js',
+    'assets/js/modules/translations.js',
+    'assets/js/modules/theme.js',
+    'assets/js/modules/navigation.js',
+    'assets/js/modules/backToTop.js',
+    'assets/js/modules/copyCode.js',
+    'assets/js/modules/codeRunner.js',
+    'assets/js/modules/tabs.js',
+    'assets/js/modules/modal.js',
+    'assets/js/modules/useCases.js',
+    'assets/js/modules/searchIndex.js',
+    'assets/js/modules/toc.js',
+    'assets/js/modules/markdown.js',
+    'assets/js/modules/transcript.js',
+    'assets/js/modules/docRegistry.js',
+    'assets/js/modules/docVersions.js',
+    'assets/js/modules/docExport.js',
+    'assets/js/modules/mockGateway.js',
+    'assets/js/modules/openApi.js',
+    'assets/js/modules/responseValidator.js',
+    'assets/js/modules/pollingSimulator.js',
+    'assets/js/modules/webhookPlayground.js',
+    'assets/js/modules/snippets.js',
+    'assets/js/modules/apiConsole.js',
+    'assets/js/modules/keyManager.js',
+    'assets/js/modules/dashboard.js',
+    'assets/js/modules/commandPalette.js',
+    'assets/js/modules/router.js',
+    'assets/js/modules/pwa.js',
+    'assets/images/icon.svg',
+    'docs/README.md',
+    'docs/SDK_DOCUMENTATION.md',
+    'docs/API_GUIDE.md',
+    'docs/v1/README.md',
+    'docs/v1/SDK_DOCUMENTATION.md',
+    'docs/v1/API_GUIDE.md',
+    'docs/manifest.json',
+    'docs/versions.json'
+];
+
+const VENDOR_ASSETS = [
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&family=JetBrains+Mono:wght@400;500;600&display=swap',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/a11y-dark.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/clipboard.js/2.0.11/clipboard.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/marked/11.0.0/marked.min.js'
+];
+
+// Шрифты и иконки Font Awesome подгружаются из CSS - кэшируем их при первом запросе
+const VENDOR_HOSTS = [
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+// ==================== Установка ====================
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.addAll(LOCAL_ASSETS);
+
+        // Недоступный CDN не должен ломать установку
+        await Promise.all(VENDOR_ASSETS.map(url => cache.add(url).catch(error => {
+            console.warn('Не удалось закэшировать', url, error);
+        })));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('manus-docs-') && key !== CACHE_VERSION)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// ==================== Stale-while-revalidate ====================
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isLocal = url.origin === self.location.origin;
+    if (!isLocal && !VENDOR_HOSTS.includes(url.hostname)) return;
+
+    // Запросы консоли к API не кэшируем
+    if (isLocal && url.pathname.includes('/api/')) return;
+
+    event.respondWith(staleWhileRevalidate(event, request, isLocal && isDocument(url)));
+});
+
+// Документы всех версий: docs/API_GUIDE.md, docs/v1/API_GUIDE.md
+function isDocument(url) {
+    return /\/docs\/(?:[^/]+\/)*[^/]+\.md$/.test(url.pathname);
+}
+
+async function staleWhileRevalidate(event, request, watchChanges) {
+    const cache = await caches.open(CACHE_VERSION);
+    // Навигация по ссылкам вида #transcript/sdk всегда открывает index.html
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const network = fetch(request)
+        .then(async response => {
+            if (response.ok || response.type === 'opaque') {
+                if (watchChanges && cached) {
+                    await notifyIfChanged(request.url, cached.clone(), response.clone());
+                }
+                await cache.put(request, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Обновление в фоне, ошибки сети офлайн ожидаемы
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    return network;
+}
+
+/**
+ * Сообщает открытым вкладкам, что markdown-документ изменился
+ */
+async function notifyIfChanged(url, cached, fresh) {
+    const [oldText, newText] = await Promise.all([cached.text(), fresh.text()]);
+    if (oldText === newText) return;
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'docs-updated', url }));
+}
@@ -0,0 +1,301 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, waitFor } from './helpers/dom.js';
+
+let app;
+let window;
+let document;
+let codeRunner;
+
+before(async () => {
+    ({ app, window, document } = await loadApp());
+    ({ codeRunner } = app);
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    codeRunner.runs.forEach((run, block) => codeRunner.finish(block, 'stopped'));
+    app.apiConsole.settings.apiKey = '';
+    app.mockGateway.enabled = false;
+});
+
+/**
+ * Mock Gateway перехватывает window.fetch, модули вызывают глобальный fetch
+ */
+function useMockGateway(apiKey = app.mockGateway.demoApiKey) {
+    app.mockGateway.enabled = true;
+    app.apiConsole.settings.apiKey = apiKey;
+    mock.method(globalThis, 'fetch', (...args) => window.fetch(...args));
+}
+
+/**
+ * Окружение iframe в Node: вызовы SDK передаются в codeRunner.call, как это делает страница
+ */
+function sandbox(env = {}) {
+    const messages = [];
+    const runtime = codeRunner.runtime({ env }, message => {
+        messages.push(message);
+        if (message.type !== 'call') return;
+
+        codeRunner.call(message.method, message.args, message.options)
+            .then(value => ({ value }), error => ({ error: { name: error.name, message: error.message, status: error.status } }))
+            .then(reply => runtime.receive({ type: 'result', id: message.id, ...reply }));
+    });
+
+    return {
+        run: code => runtime.run(codeRunner.prepare(code)),
+        logs: () => messages.filter(message => message.type === 'console').map(message => message.text),
+        last: () => messages.at(-1)
+    };
+}
+
+const quickstart = () => document.querySelector('#js-quickstart .code-block');
+
+// ==================== Кнопки ====================
+test('кнопка запуска есть только у JavaScript примеров SDK', async () => {
+    assert.ok(quickstart().querySelector('[data-action="run"]'));
+    assert.equal(document.querySelector('#python-quickstart [data-action="run"]'), null);
+    // Сгенерированные примеры запросов к API используют fetch, а не клиент SDK
+    assert.equal(document.querySelector('#api .code-runner'), null);
+
+    const transcriptBlocks = document.querySelectorAll('#sdk-content .code-block[data-runnable]');
+    assert.ok(transcriptBlocks.length > 0);
+    transcriptBlocks.forEach(block => assert.ok(block.querySelector('code.language-javascript')));
+
+    window.showUseCase('batch-processing');
+    await waitFor(() => document.querySelector('#useCaseCode .code-block[data-runnable]'));
+    const block = document.querySelector('#useCaseCode .code-block[data-runnable]');
+    assert.match(block.querySelector('code').textContent, /Promise\.all/);
+});
+
+test('повторный вызов decorate не добавляет вторую панель', () => {
+    codeRunner.decorate(document);
+    assert.equal(quickstart().querySelectorAll('.code-runner').length, 1);
+});
+
+test('пример можно отредактировать и вернуть к исходному', () => {
+    const block = quickstart();
+    const code = block.querySelector('pre code');
+    const original = code.textContent;
+
+    block.querySelector('[data-action="edit"]').click();
+    const editor = block.querySelector('.code-runner-editor');
+    assert.ok(!editor.hidden);
+    assert.ok(block.querySelector('pre').hidden);
+    assert.equal(editor.value, original);
+
+    editor.value = "console.log('edited');";
+    editor.dispatchEvent(new window.Event('input'));
+    assert.equal(code.textContent, "console.log('edited');");
+    assert.ok(!block.querySelector('[data-action="reset"]').hidden);
+
+    block.querySelector('[data-action="reset"]').click();
+    assert.equal(editor.value, original);
+    assert.equal(code.textContent, original);
+    assert.ok(block.querySelector('[data-action="reset"]').hidden);
+
+    block.querySelector('[data-action="edit"]').click();
+    assert.ok(editor.hidden);
+    assert.equal(block.querySelector('[data-action="edit"]').getAttribute('aria-pressed'), 'false');
+});
+
+// ==================== Подготовка кода ====================
+test('prepare заменяет импорт manus-gateway и отклоняет другие модули', () => {
+    const code = codeRunner.prepare("import {\n  ManusGatewayError,\n  AuthenticationError as AuthError\n} from 'manus-gateway';\nimport * as sdk from \"manus-gateway\";");
+
+    assert.match(code, /const \{\s*ManusGatewayError,\s*AuthenticationError: AuthError\s*\} = __sdk;/);
+    assert.match(code, /const sdk = __sdk;/);
+    assert.doesNotMatch(code, /import /);
+
+    assert.throws(() => codeRunner.prepare("import express from 'express';"), /«express» недоступен/);
+});
+
+test('в песочницу не передается API ключ и нет доступа к сети', () => {
+    const apiKey = 'manus_' + 'ab'.repeat(32);
+    app.apiConsole.settings.apiKey = apiKey;
+
+    const html = codeRunner.sandboxHtml(codeRunner.prepare("console.log('</script>')"));
+
+    assert.ok(!html.includes(apiKey));
+    assert.ok(html.includes(app.keyManager.mask(apiKey)));
+    assert.match(html, /default-src 'none'/);
+    assert.equal(html.match(/<\/script>/g).length, 1);
+});
+
+// ==================== SDK в песочнице ====================
+test('пример быстрого старта создает задачу через клиент из примера', async () => {
+    useMockGateway();
+    const runner = sandbox({ MANUS_API_KEY: 'manus_…', MANUS_BASE_URL: 'http://localhost:3000' });
+
+    await runner.run(`
+        import { ManusGatewayClient } from 'manus-gateway';
+        const client = new ManusGatewayClient({
+          apiKey: process.env.MANUS_API_KEY,
+          baseUrl: process.env.MANUS_BASE_URL
+        });
+        const task = await client.createTask('Analyze the quarterly sales data');
+        console.log(\`Task created: \${task.task_uuid}\`);
+        const fetched = await client.getTask(task.task_uuid);
+        console.log(fetched.prompt, fetched.status);
+    `);
+
+    assert.deepEqual(runner.last(), { type: 'done' });
+    const [created, fetched] = runner.logs();
+    assert.match(created, /^Task created: TASK-[0-9A-F]{16}$/);
+    assert.equal(fetched, 'Analyze the quarterly sales data pending');
+});
+
+test('готовый client, listTasks и waitForCompletion для завершенной задачи', async () => {
+    useMockGateway();
+    const runner = sandbox();
+
+    await runner.run(`
+        const result = await client.listTasks({ status: 'completed', page: 1, limit: 50 });
+        console.log(result.tasks.length, result.totalPages, result.page);
+        const task = await client.waitForCompletion(result.tasks[0].task_uuid, { pollInterval: 10 });
+        console.log(task.status, typeof task.response);
+    `);
+
+    assert.deepEqual(runner.logs(), ['2 1 1', 'completed string']);
+});
+
+test('ошибки API приходят как классы SDK', async () => {
+    useMockGateway('');
+    const runner = sandbox();
+
+    await runner.run(`
+        try {
+            await client.createTask('Test');
+        } catch (error) {
+            console.log(error instanceof AuthenticationError, error instanceof ManusGatewayError, error.status);
+        }
+    `);
+    assert.deepEqual(runner.logs(), ['true true 401']);
+
+    app.apiConsole.settings.apiKey = app.mockGateway.demoApiKey;
+    await runner.run(`
+        try {
+            await client.getTask('TASK-0000000000000000');
+        } catch (error) {
+            console.log(error.name, error.message);
+        }
+        throw new Error('boom');
+    `);
+    assert.equal(runner.logs().at(-1), 'TaskNotFoundError Task not found');
+    assert.deepEqual(runner.last(), { type: 'error', name: 'Error', message: 'boom' });
+});
+
+test('ошибка сети превращается в ManusGatewayError без статуса', async () => {
+    mock.method(globalThis, 'fetch', async () => {
+        throw new TypeError('Failed to fetch');
+    });
+
+    const baseUrl = app.apiConsole.settings.baseUrl;
+    app.apiConsole.settings.baseUrl = 'http://gateway.test/';
+    try {
+        await assert.rejects(codeRunner.call('getTask', ['TASK-1']), error => {
+            assert.equal(error.name, 'ManusGatewayError');
+            assert.equal(error.status, null);
+            assert.match(error.message, /Could not reach http:\/\/gateway\.test: Failed to fetch/);
+            return true;
+        });
+    } finally {
+        app.apiConsole.settings.baseUrl = baseUrl;
+    }
+});
+
+test('baseUrl из песочницы не получает ключ: запрос идет на Base URL консоли', async () => {
+    const apiKey = 'manus_' + 'cd'.repeat(32);
+    app.apiConsole.settings.apiKey = apiKey;
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ success: true, data: {} })));
+
+    await codeRunner.call('createTask', ['Test'], { baseUrl: 'https://attacker.example', apiKey: 'x' });
+
+    const [url, init] = fetch.mock.calls[0].arguments;
+    assert.equal(url, `${app.apiConsole.settings.baseUrl}/api/v1/tasks`);
+    assert.equal(init.headers['X-API-Key'], apiKey);
+    assert.ok(fetch.mock.calls.every(call => !String(call.arguments[0]).includes('attacker.example')));
+});
+
+// ==================== Вывод ====================
+test('запуск создает песочницу, показывает вывод и завершается по сообщению done', async () => {
+    useMockGateway();
+    const block = quickstart();
+    block.querySelector('[data-action="run"]').click();
+
+    const run = codeRunner.runs.get(block);
+    const iframe = block.querySelector('iframe.code-runner-sandbox');
+    assert.equal(run.iframe, iframe);
+    assert.equal(iframe.getAttribute('sandbox'), 'allow-scripts');
+    assert.equal(block.querySelector('[data-action="run"]').getAttribute('data-i18n'), 'runner.stop');
+
+    const replies = [];
+    mock.method(iframe.contentWindow, 'postMessage', reply => replies.push(reply));
+    const send = data => codeRunner.receive({ source: iframe.contentWindow, data });
+
+    // Сообщения чужих окон игнорируются
+    codeRunner.receive({ source: window, data: { type: 'done' } });
+    assert.ok(codeRunner.runs.has(block));
+
+    send({ type: 'console', level: 'log', text: `key ${app.mockGateway.demoApiKey}` });
+    send({ type: 'call', id: 1, method: 'createTask', args: ['Run from docs'], options: {} });
+    await waitFor(() => replies.length > 0);
+
+    assert.equal(replies[0].id, 1);
+    assert.equal(replies[0].value.prompt, 'Run from docs');
+    assert.equal(replies[0].value.status, 'pending');
+
+    send({ type: 'done' });
+
+    const lines = Array.from(block.querySelectorAll('.code-runner-line'), line => line.textContent);
+    assert.match(lines[0], /Mock Gateway/);
+    assert.equal(lines[1], `key ${app.keyManager.mask(app.mockGateway.demoApiKey)}`);
+    assert.match(lines[2], /^POST http:\/\/localhost:3000\/api\/v1\/tasks → 200$/);
+    assert.match(lines.at(-1), /^Выполнено за/);
+    assert.equal(block.querySelector('iframe'), null);
+    assert.equal(block.querySelector('[data-action="run"]').getAttribute('data-i18n'), 'runner.run');
+});
+
+test('ошибка примера и остановка кнопкой', () => {
+    const block = quickstart();
+    const run = () => block.querySelector('[data-action="run"]').click();
+
+    run();
+    let { iframe } = codeRunner.runs.get(block);
+    codeRunner.receive({ source: iframe.contentWindow, data: { type: 'error', name: 'ReferenceError', message: 'processResponse is not defined' } });
+    let lines = Array.from(block.querySelectorAll('.code-runner-line'), line => line.textContent);
+    assert.equal(lines.at(-2), 'ReferenceError: processResponse is not defined');
+    assert.match(lines.at(-1), /^Завершено с ошибкой/);
+
+    run();
+    ({ iframe } = codeRunner.runs.get(block));
+    run();
+    assert.ok(!codeRunner.runs.has(block));
+    assert.ok(!iframe.isConnected);
+    lines = Array.from(block.querySelectorAll('.code-runner-line'), line => line.textContent);
+    assert.equal(lines.at(-1), 'Выполнение остановлено');
+});
+
+test('импорт недоступного модуля сообщается без запуска', () => {
+    const block = quickstart();
+    const code = block.querySelector('pre code');
+    const original = code.textContent;
+
+    code.textContent = "import express from 'express';\nconsole.log(client);";
+    block.querySelector('[data-action="run"]').click();
+
+    assert.ok(!codeRunner.runs.has(block));
+    assert.match(block.querySelector('.code-runner-output').textContent, /«express» недоступен в песочнице/);
+    code.textContent = original;
+});
+
+test('кнопки запуска переводятся вместе с интерфейсом', () => {
+    const button = quickstart().querySelector('[data-action="run"]');
+
+    app.i18n.setLocale('en');
+    assert.equal(button.textContent.trim(), 'Run');
+    assert.ok(button.querySelector('i.fa-play'));
+
+    app.i18n.setLocale('ru');
+    assert.equal(button.textContent.trim(), 'Запустить');
+});
@@ -0,0 +1,42 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './helpers/dom.js';
+
+let app;
+let document;
+
+before(async () => {
+    ({ app, document } = await loadApp());
+});
+
+test('значения из ответа API не выходят за пределы атрибутов', () => {
+    const taskUuid = 'x" onmouseover="alert(1)';
+    const now = new Date().toISOString();
+    app.dashboard.tasks = [{
+        taskUuid,
+        prompt: "It's <b>bold</b>",
+        status: "completed' onclick='alert(2)",
+        result: null,
+        errorMessage: null,
+        createdAt: now,
+        updatedAt: now
+    }];
+    app.dashboard.renderTable();
+    app.dashboard.renderDetail(app.dashboard.tasks[0]);
+
+    const table = document.getElementById('dashboardTable');
+    const detail = document.getElementById('dashboardDetail');
+    [table, detail].forEach(root => {
+        assert.equal(root.querySelector('[onmouseover], [onclick]'), null);
+        assert.equal(root.querySelector('b'), null);
+    });
+
+    const row = table.querySelector('tbody tr[data-task]');
+    assert.equal(row.getAttribute('data-task'), taskUuid);
+    assert.equal(row.querySelector('.dashboard-prompt').textContent, "It's <b>bold</b>");
+    assert.match(row.querySelector('.dashboard-select').getAttribute('aria-label'), /onmouseover="alert\(1\)/);
+
+    app.dashboard.tasks = [];
+    app.dashboard.renderTable();
+    detail.innerHTML = '';
+});
@@ -0,0 +1,135 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, readFile, fetchFromDisk, waitFor } from './helpers/dom.js';
+import { docs } from '../assets/js/modules/docs.js';
+
+let app;
+let document;
+
+const manifest = JSON.parse(readFile('docs/manifest.json'));
+
+before(async () => {
+    ({ app, document } = await loadApp());
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await app.transcript.reload();
+});
+
+/**
+ * fetch, у которого файл path отвечает 404
+ */
+function breakFile(path) {
+    return mock.method(globalThis, 'fetch', async url => (url === path
+        ? new Response('Not Found', { status: 404 })
+        : fetchFromDisk(url)));
+}
+
+test('документы манифеста существуют, ID подходят для ссылок на заголовки', () => {
+    assert.ok(manifest.documents.length > 0);
+    manifest.documents.forEach(doc => {
+        assert.match(doc.id, app.docRegistry.idPattern);
+        assert.doesNotThrow(() => readFile(`docs/${doc.path}`));
+    });
+});
+
+test('навигация, контейнеры, экспорт и сравнение строятся по манифесту', () => {
+    const ids = [...manifest.documents].sort((a, b) => a.order - b.order).map(doc => doc.id);
+    const values = selector => Array.from(document.querySelectorAll(selector));
+
+    assert.deepEqual(values('.trans-nav-link').map(link => link.getAttribute('data-doc')), ids);
+    assert.deepEqual(values('.transcript-doc').map(doc => doc.id), ids.map(id => `trans-${id}`));
+    assert.deepEqual(values('#exportDocs input').map(input => input.value), ids);
+    assert.deepEqual(values('#diffDoc option').map(option => option.value), ids);
+    assert.deepEqual(Object.keys(docs), ids);
+
+    const api = manifest.documents.find(doc => doc.id === 'api');
+    const link = document.querySelector('.trans-nav-link[data-doc="api"]');
+    assert.equal(link.textContent.trim(), api.title);
+    assert.ok(link.querySelector(`i.${api.icon}`));
+    assert.equal(document.querySelector('#trans-api .doc-header h3').textContent, api.path);
+    assert.equal(document.querySelector('#trans-api .doc-meta').textContent, api.description.ru);
+});
+
+test('источники примеров и структуры задачи берутся из манифеста', () => {
+    const sdk = manifest.documents.find(doc => doc.id === 'sdk');
+
+    assert.deepEqual(sdk.provides, ['useCases', 'taskStructure']);
+    assert.equal(app.docRegistry.content('useCases'), docs.sdk);
+    assert.equal(app.docRegistry.content('taskStructure'), docs.sdk);
+    assert.equal(app.docRegistry.content('unknown'), null);
+});
+
+test('описания документов переводятся вместе с интерфейсом', () => {
+    const meta = document.querySelector('#trans-sdk .doc-meta');
+
+    app.i18n.setLocale('en');
+    assert.equal(meta.textContent, manifest.documents.find(doc => doc.id === 'sdk').description.en);
+
+    app.i18n.setLocale('ru');
+    assert.equal(meta.textContent, manifest.documents.find(doc => doc.id === 'sdk').description.ru);
+});
+
+test('404 одного документа не мешает загрузке остальных', async () => {
+    breakFile('docs/SDK_DOCUMENTATION.md');
+    await app.transcript.reload();
+
+    assert.equal(docs.sdk, null);
+    assert.equal(docs.api, readFile('docs/API_GUIDE.md'));
+    assert.equal(docs.readme, readFile('docs/README.md'));
+    assert.equal(app.transcript.failed, false);
+
+    const error = document.querySelector('#sdk-content .doc-error');
+    assert.ok(error);
+    assert.match(error.textContent, /docs\/SDK_DOCUMENTATION\.md/);
+    assert.match(error.textContent, /HTTP 404/);
+    assert.ok(document.querySelector('#api-content h1'));
+    assert.equal(document.querySelector('.toc-list[data-doc="sdk"]'), null);
+
+    // Поиск работает по загруженным документам
+    const groups = app.transcript.search('polling');
+    assert.ok(groups.length > 0);
+    assert.ok(groups.every(group => group.docType !== 'sdk'));
+});
+
+test('кнопка «Повторить» загружает только документ с ошибкой', async () => {
+    const fetch = breakFile('docs/API_GUIDE.md');
+    await app.transcript.reload();
+    mock.restoreAll();
+
+    const retry = mock.method(globalThis, 'fetch', fetchFromDisk);
+    document.querySelector('#api-content [data-retry]').click();
+    await waitFor(() => docs.api);
+
+    assert.equal(fetch.mock.callCount(), manifest.documents.length);
+    assert.deepEqual(retry.mock.calls.map(call => call.arguments[0]), ['docs/API_GUIDE.md']);
+    assert.equal(docs.api, readFile('docs/API_GUIDE.md'));
+    assert.equal(document.querySelector('#api-content .doc-error'), null);
+    assert.ok(app.transcript.search('polling').some(group => group.docType === 'api'));
+});
+
+test('результаты поиска подписаны названиями из манифеста', async () => {
+    const results = document.getElementById('searchResults');
+    app.transcript.displaySearchResults(app.transcript.search('polling'), results);
+
+    const titles = Array.from(results.querySelectorAll('.search-result-title'), title => title.textContent.trim());
+    assert.ok(titles.some(title => title.startsWith('API Guide')));
+});
+
+test('без манифеста транскрипт показывает общую ошибку', async () => {
+    mock.method(globalThis, 'fetch', async () => new Response('Not Found', { status: 404 }));
+
+    await app.docRegistry.load();
+    await app.transcript.loadDocuments();
+
+    assert.ok(app.docRegistry.failed);
+    assert.deepEqual(Object.keys(docs), []);
+    assert.match(document.getElementById('transcriptDocs').textContent, /Ошибка загрузки документации/);
+
+    // Восстановление для следующих тестов файла
+    mock.restoreAll();
+    await app.docRegistry.load();
+    app.transcript.failed = false;
+    app.transcript.renderShell();
+});
@@ -0,0 +1,214 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, readFile, fetchFromDisk } from './helpers/dom.js';
+import { docs } from '../assets/js/modules/docs.js';
+
+let app;
+let document;
+let docVersions;
+
+before(async () => {
+    ({ app, document } = await loadApp());
+    ({ docVersions } = app);
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    docVersions.texts.clear();
+    await docVersions.select('latest');
+});
+
+function types(lines) {
+    return lines.map(line => `${line.type[0]}:${line.text}`);
+}
+
+// ==================== Сравнение ====================
+test('diffLines без правок возвращает только неизмененные строки', () => {
+    const lines = docVersions.diffLines('a\nb\nc', 'a\nb\nc');
+
+    assert.deepEqual(types(lines), ['s:a', 's:b', 's:c']);
+    assert.deepEqual(lines.map(line => [line.oldLine, line.newLine]), [[1, 1], [2, 2], [3, 3]]);
+});
+
+test('diffLines находит добавленные, удаленные и замененные строки', () => {
+    const lines = docVersions.diffLines('a\nb\nc\nd', 'a\nB\nc\nd\ne');
+
+    assert.deepEqual(types(lines), ['s:a', 'r:b', 'a:B', 's:c', 's:d', 'a:e']);
+    assert.deepEqual(lines.find(line => line.text === 'B'), { type: 'added', text: 'B', oldLine: null, newLine: 2 });
+    assert.deepEqual(lines.find(line => line.text === 'b'), { type: 'removed', text: 'b', oldLine: 2, newLine: null });
+    assert.equal(lines.at(-1).newLine, 5);
+});
+
+test('diffLines сохраняет общие строки между правками', () => {
+    const lines = docVersions.diffLines('x\na\ny\nb\nz', 'a\nq\nb');
+
+    assert.deepEqual(types(lines), ['r:x', 's:a', 'r:y', 'a:q', 's:b', 'r:z']);
+});
+
+test('hunks собирает правки с контекстом и заголовком раздела вне блоков кода', () => {
+    const before = ['## Rate Limiting', '```python', '# Usage', 'pass', '```', ...'12345678'.split(''), 'old'].join('\n');
+    const after = before.replace('old', 'new');
+    const hunks = docVersions.hunks(docVersions.diffLines(before, after));
+
+    assert.equal(hunks.length, 1);
+    assert.equal(hunks[0].section, 'Rate Limiting');
+    assert.deepEqual(types(hunks[0].lines), ['s:6', 's:7', 's:8', 'r:old', 'a:new']);
+});
+
+test('renderDiff сообщает о совпадающих версиях', () => {
+    const html = docVersions.renderDiff(docVersions.diffLines('a', 'a'));
+
+    assert.match(html, /diff-empty/);
+    assert.match(html, /Версии документа совпадают/);
+});
+
+test('renderDiff выделяет измененную часть строки и экранирует HTML', () => {
+    const lines = docVersions.diffLines('limit: 10 <req>', 'limit: 60 <req>');
+
+    ['inline', 'split'].forEach(mode => {
+        const html = docVersions.renderDiff(lines, mode);
+        assert.match(html, new RegExp(`diff-${mode}`));
+        assert.match(html, /limit: <span class="diff-word">1<\/span>0 &lt;req&gt;/);
+        assert.match(html, /limit: <span class="diff-word">6<\/span>0 &lt;req&gt;/);
+        assert.match(html, /@@ -1,1 \+1,1 @@/);
+    });
+});
+
+// ==================== Переключение версий ====================
+test('список версий загружается из docs/versions.json', () => {
+    const { versions } = JSON.parse(readFile('docs/versions.json'));
+    const options = Array.from(document.querySelectorAll('#docVersionSelect option')).map(option => option.value);
+
+    assert.deepEqual(options, versions.map(version => version.id));
+    assert.equal(docVersions.current, 'latest');
+    assert.ok(document.getElementById('versionBanner').hidden);
+});
+
+test('файлы каждой версии из docs/versions.json существуют', () => {
+    docVersions.versions.forEach(version => {
+        app.docRegistry.documents.forEach(({ id: docType }) => {
+            assert.doesNotThrow(() => readFile(docVersions.path(docType, version.id)));
+        });
+    });
+});
+
+test('выбор старой версии перезагружает транскрипт и показывает баннер', async () => {
+    const fetch = mock.method(globalThis, 'fetch', fetchFromDisk);
+
+    const select = document.getElementById('docVersionSelect');
+    await docVersions.select('v1');
+    assert.equal(select.value, 'v1');
+
+    const urls = fetch.mock.calls.map(call => call.arguments[0]);
+    assert.deepEqual(urls, ['docs/v1/README.md', 'docs/v1/SDK_DOCUMENTATION.md', 'docs/v1/API_GUIDE.md']);
+    assert.equal(docs.api, readFile('docs/v1/API_GUIDE.md'));
+    assert.equal(localStorage.getItem('manusDocs.docVersion'), 'v1');
+
+    const banner = document.getElementById('versionBanner');
+    assert.ok(!banner.hidden);
+    assert.match(banner.textContent, /1\.0/);
+
+    await docVersions.select('latest');
+    assert.ok(banner.hidden);
+    assert.equal(localStorage.getItem('manusDocs.docVersion'), null);
+    assert.equal(fetch.mock.calls.at(-1).arguments[0], 'docs/API_GUIDE.md');
+});
+
+test('старая версия скачивается с ID версии в имени файла', async () => {
+    const download = mock.method(app.utils, 'downloadFile', () => {});
+
+    await docVersions.select('v1');
+    app.transcript.showDocument('api');
+    app.transcript.downloadTranscript();
+
+    assert.equal(download.mock.calls[0].arguments[1], 'API_GUIDE-v1.md');
+});
+
+test('без versions.json и с неизвестной сохраненной версией открывается актуальная', async () => {
+    const versions = docVersions.versions;
+    mock.method(globalThis, 'fetch', async url => (url === docVersions.registry
+        ? new Response('Not Found', { status: 404 })
+        : fetchFromDisk(url)));
+    localStorage.setItem('manusDocs.docVersion', 'v9');
+
+    try {
+        await docVersions.load();
+        assert.equal(docVersions.current, 'latest');
+        assert.equal(docVersions.path('api'), 'docs/API_GUIDE.md');
+    } finally {
+        docVersions.versions = versions;
+        localStorage.removeItem('manusDocs.docVersion');
+    }
+});
+
+test('панель сравнения показывает правки между версиями документа', async () => {
+    docVersions.texts.set('v1/api', docs.api.replace('**Version 1.0 (2025-11-19)**\n', ''));
+
+    document.getElementById('versionDiffToggle').click();
+    document.getElementById('diffDoc').value = 'api';
+    document.getElementById('diffFrom').value = 'v1';
+    document.getElementById('diffTo').value = 'latest';
+    await docVersions.showDiff();
+
+    const output = document.getElementById('versionDiffOutput');
+    const added = Array.from(output.querySelectorAll('.diff-line.diff-added')).map(row => row.textContent.trim());
+    assert.equal(added.length, 1);
+    assert.match(added[0], /Version 1\.0 \(2025-11-19\)/);
+    assert.match(output.querySelector('.diff-section').textContent, /Changelog/);
+    assert.equal(document.getElementById('versionDiffToggle').getAttribute('aria-expanded'), 'true');
+});
+
+test('сравнение v1 с актуальной версией показывает правки документации', async () => {
+    mock.method(globalThis, 'fetch', fetchFromDisk);
+
+    document.getElementById('diffDoc').value = 'api';
+    document.getElementById('diffFrom').value = 'v1';
+    document.getElementById('diffTo').value = 'latest';
+    await docVersions.showDiff();
+
+    const output = document.getElementById('versionDiffOutput');
+    const added = Array.from(output.querySelectorAll('.diff-line.diff-added')).map(row => row.textContent.trim());
+    assert.equal(output.querySelector('.diff-empty'), null);
+    assert.ok(added.some(line => line.includes('> [!TIP]')));
+});
+
+test('медленный ответ прошлого сравнения не перезаписывает текущее', async () => {
+    let release;
+    const slow = new Promise(resolve => {
+        release = resolve;
+    });
+    mock.method(globalThis, 'fetch', async url => {
+        if (url === 'docs/v1/README.md') {
+            await slow;
+            return new Response('# Old README');
+        }
+        return fetchFromDisk(url);
+    });
+
+    // Открытая панель могла уже загрузить тексты при смене версии
+    docVersions.texts.clear();
+    const output = document.getElementById('versionDiffOutput');
+    document.getElementById('diffFrom').value = 'v1';
+    document.getElementById('diffTo').value = 'latest';
+    document.getElementById('diffDoc').value = 'readme';
+    const first = docVersions.showDiff();
+
+    docVersions.texts.set('v1/api', docs.api.replace('**Version 1.0 (2025-11-19)**\n', ''));
+    document.getElementById('diffDoc').value = 'api';
+    await docVersions.showDiff();
+    const latest = output.innerHTML;
+
+    release();
+    await first;
+    assert.equal(output.innerHTML, latest);
+    assert.match(output.textContent, /Version 1\.0 \(2025-11-19\)/);
+});
+
+test('панель сравнения сообщает об ошибке загрузки версии', async () => {
+    mock.method(globalThis, 'fetch', async () => new Response('Not Found', { status: 404 }));
+
+    document.getElementById('diffFrom').value = 'v1';
+    await docVersions.showDiff();
+
+    assert.match(document.getElementById('versionDiffOutput').textContent, /Не удалось загрузить docs\/v1\//);
+});
@@ -0,0 +1,94 @@
+/**
+ * Manus Gateway Documentation Website
+ * Окружение для тестов: index.html в jsdom, файлы сайта вместо сети
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+import { marked } from 'marked';
+
+export const root = fileURLToPath(new URL('../..', import.meta.url));
+
+// Глобальные объекты браузера, которые модули используют без window.
+// Event и CustomEvent берутся из jsdom, иначе их нельзя отправить в DOM
+const browserGlobals = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage',
+    'Node', 'Event', 'CustomEvent', 'KeyboardEvent', 'XMLSerializer',
+    'IntersectionObserver', 'confirm', 'marked', 'fetch'
+];
+
+export function readFile(path) {
+    return readFileSync(join(root, path), 'utf8');
+}
+
+/**
+ * fetch по файлам репозитория: тесты работают офлайн
+ */
+export async function fetchFromDisk(url) {
+    const path = decodeURIComponent(new URL(String(url), 'http://localhost/').pathname).slice(1);
+    const file = join(root, path);
+    if (!path || !existsSync(file)) {
+        return new Response('Not Found', { status: 404 });
+    }
+    return new Response(readFileSync(file), { status: 200 });
+}
+
+/**
+ * Страница index.html без внешних скриптов и стилей с подменой API,
+ * которых нет в jsdom. Должна вызываться до импорта модулей
+ */
+export async function setupDom({ url = 'http://localhost/', locale = 'ru' } = {}) {
+    const dom = new JSDOM(readFile('index.html'), { url, pretendToBeVisual: true });
+    const { window } = dom;
+
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.matchMedia = () => ({ matches: false, addEventListener() {} });
+    window.scrollTo = () => {};
+    window.Element.prototype.scrollIntoView = function () {};
+    window.confirm = () => true;
+    window.marked = marked;
+    window.fetch = fetchFromDisk;
+    window.localStorage.setItem('manusDocs.locale', locale);
+
+    browserGlobals.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+
+    // DOMContentLoaded отправляет loadApp, поэтому ждем, пока jsdom закончит свой разбор
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    return window;
+}
+
+/**
+ * Ожидание условия: модули загружают документы и спецификацию асинхронно
+ */
+export async function waitFor(condition, timeout = 5000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Условие не выполнилось за отведенное время');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * Запуск сайта целиком: app.js, DOMContentLoaded и загрузка документов
+ */
+export async function loadApp(options) {
+    const window = await setupDom(options);
+    await import('../../assets/js/app.js');
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+    const { ManusGatewayDocs } = window;
+    await waitFor(() => ManusGatewayDocs.useCases.loaded && ManusGatewayDocs.searchIndex.blocks.length > 0);
+    return { window, document: window.document, app: ManusGatewayDocs };
+}
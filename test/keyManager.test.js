@@ -0,0 +1,76 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './helpers/dom.js';
+
+let app;
+let window;
+let document;
+let keyManager;
+
+before(async () => {
+    ({ app, window, document } = await loadApp());
+    ({ keyManager } = app);
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    keyManager.environments = [];
+    keyManager.cryptoKey = null;
+    keyManager.setStatus('');
+    keyManager.render();
+});
+
+function environment(name) {
+    return { id: 'ENV-1', name, baseUrl: 'http://localhost:3000', key: {}, hint: 'manus_0123…cdef' };
+}
+
+const status = () => document.getElementById('keyManagerStatus');
+
+test('название окружения не выходит за пределы атрибутов', () => {
+    const name = 'prod" onmouseover="alert(1)';
+    keyManager.environments = [environment(name)];
+    keyManager.render();
+
+    const list = document.getElementById('keyManagerEnvironments');
+    assert.equal(list.querySelector('[onmouseover]'), null);
+    assert.equal(list.querySelector('[data-action="remove"]').getAttribute('aria-label'), `Удалить ${name}`);
+    assert.equal(list.querySelector('strong').textContent, name);
+});
+
+// Обработчики кнопок подключает init, а в jsdom нет IndexedDB - методы вызываются напрямую
+test('ошибка расшифровки ключа показывается в статусе', async () => {
+    keyManager.environments = [environment('<b>prod</b>')];
+    keyManager.cryptoKey = {};
+    mock.method(keyManager, 'decrypt', async () => {
+        throw new window.DOMException('', 'OperationError');
+    });
+
+    await keyManager.activate('ENV-1');
+
+    assert.match(status().textContent, /Не удалось расшифровать ключ окружения «<b>prod<\/b>»/);
+    assert.equal(status().querySelector('b'), null);
+});
+
+test('окружение удаляется только после подтверждения', async () => {
+    keyManager.environments = [environment('prod')];
+    const write = mock.method(keyManager, 'write', async () => {
+        throw new Error('QuotaExceededError');
+    });
+    const confirm = mock.method(globalThis, 'confirm', () => false);
+
+    await keyManager.remove('ENV-1');
+    assert.equal(confirm.mock.callCount(), 1);
+    assert.match(confirm.mock.calls[0].arguments[0], /«prod»/);
+    assert.equal(write.mock.callCount(), 0);
+
+    confirm.mock.mockImplementation(() => true);
+    mock.method(console, 'error', () => {});
+    await keyManager.remove('ENV-1');
+    assert.equal(write.mock.callCount(), 1);
+    assert.equal(keyManager.environments.length, 1);
+    assert.match(status().textContent, /Не удалось удалить окружение «prod»/);
+
+    write.mock.mockImplementation(async () => {});
+    await keyManager.remove('ENV-1');
+    assert.deepEqual(keyManager.environments, []);
+});
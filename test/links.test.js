@@ -0,0 +1,107 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { JSDOM } from 'jsdom';
+import { loadApp, readFile, root } from './helpers/dom.js';
+
+let app;
+let document;
+
+before(async () => {
+    ({ app, document } = await loadApp());
+});
+
+function isLocal(url) {
+    return url && !/^(?:[a-z]+:|\/\/|#)/i.test(url);
+}
+
+function exists(path) {
+    return existsSync(join(root, path.split(/[?#]/)[0]));
+}
+
+/**
+ * Куда ведет hash-ссылка: якорь на странице или маршрут роутера
+ */
+function resolves(hash) {
+    const [, docType] = hash.match(/^#transcript\/([\w-]+)$/) || [];
+    if (docType) {
+        return Boolean(document.getElementById(`trans-${docType}`));
+    }
+
+    const [, caseId] = hash.match(/^#usecase\/([\w-]+)$/) || [];
+    if (caseId) {
+        return Boolean(app.useCases.cases[app.useCases.resolveId(caseId)]);
+    }
+
+    return Boolean(document.getElementById(decodeURIComponent(hash.slice(1))));
+}
+
+test('локальные файлы из index.html существуют', () => {
+    const page = new JSDOM(readFile('index.html')).window.document;
+    const urls = Array.from(page.querySelectorAll('[href], [src]'))
+        .map(element => element.getAttribute('href') || element.getAttribute('src'))
+        .filter(isLocal);
+
+    assert.ok(urls.length > 0);
+    urls.forEach(url => assert.ok(exists(url), `нет файла ${url}`));
+});
+
+test('hash-ссылки страницы ведут на разделы и маршруты', () => {
+    // Включая ссылки, построенные модулями: оглавление, карточки, документы
+    const hashes = new Set(Array.from(document.querySelectorAll('a[href^="#"]'))
+        .map(link => link.getAttribute('href'))
+        .filter(href => href !== '#'));
+
+    assert.ok(hashes.size > 0);
+    hashes.forEach(hash => assert.ok(resolves(hash), `ссылка ${hash} никуда не ведет`));
+});
+
+test('относительные ссылки в документах docs/ ведут на существующие файлы', () => {
+    ['docs/README.md', 'docs/SDK_DOCUMENTATION.md', 'docs/API_GUIDE.md'].forEach(path => {
+        const links = Array.from(readFile(path).matchAll(/\]\(([^)\s]+)/g), match => match[1]).filter(isLocal);
+
+        links.forEach(link => {
+            assert.ok(exists(join(dirname(path), link)), `${path}: нет файла ${link}`);
+        });
+    });
+});
+
+test('файлы для офлайн-кэша существуют', () => {
+    const [, list] = readFile('sw.js').match(/const LOCAL_ASSETS = \[([\s\S]*?)\];/);
+    const assets = Array.from(list.matchAll(/'([^']+)'/g), match => match[1]);
+
+    assert.ok(assets.includes('assets/js/app.js'));
+    assets.forEach(asset => assert.ok(exists(asset === './' ? 'index.html' : asset), `нет файла ${asset}`));
+});
+
+test('все модули из assets/js/modules попадают в офлайн-кэш', () => {
+    const sw = readFile('sw.js');
+    const imports = Array.from(readFile('assets/js/app.js').matchAll(/from '\.\/(modules\/[\w]+\.js)'/g), match => match[1]);
+
+    assert.ok(imports.length > 0);
+    [...imports, 'modules/translations.js'].forEach(module => {
+        assert.ok(sw.includes(`'assets/js/${module}'`), `${module} нет в sw.js`);
+    });
+});
+
+test('документы всех версий попадают в офлайн-кэш и уведомление об обновлении', () => {
+    const sw = readFile('sw.js');
+    const [, pattern] = sw.match(/function isDocument\(url\) \{\s*return (\/.+\/)\.test/);
+    const isDocument = new Function(`return ${pattern};`)();
+
+    app.docVersions.versions.forEach(version => {
+        app.docRegistry.documents.forEach(({ id }) => {
+            const path = app.docVersions.path(id, version.id);
+            assert.ok(sw.includes(`'${path}'`), `${path} нет в sw.js`);
+            assert.ok(isDocument.test(`/${path}`), `${path} не отслеживается`);
+        });
+    });
+    assert.ok(!isDocument.test('/assets/js/app.js'));
+});
+
+test('иконки манифеста существуют', () => {
+    const manifest = JSON.parse(readFile('manifest.webmanifest'));
+
+    manifest.icons.forEach(icon => assert.ok(exists(icon.src), `нет иконки ${icon.src}`));
+});
@@ -0,0 +1,72 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './helpers/dom.js';
+
+let app;
+let document;
+
+before(async () => {
+    ({ app, document } = await loadApp());
+});
+
+function setInputs(values) {
+    Object.entries(values).forEach(([name, value]) => {
+        document.getElementById(app.pollingSimulator.fields[name]).value = String(value);
+    });
+}
+
+test('значения формы ограничиваются разумными пределами', () => {
+    setInputs({ initialInterval: 0, multiplier: 1000, maxWait: 1e12, rateLimit: 1e9, tasks: 1000, durationMin: -5, durationMax: 1e12 });
+    const config = app.pollingSimulator.readConfig();
+
+    assert.equal(config.initialInterval, 0.5);
+    assert.equal(config.multiplier, 10);
+    assert.equal(config.maxWait, app.pollingSimulator.maxSeconds);
+    assert.equal(config.rateLimit, 10000);
+    assert.equal(config.tasks, 50);
+    assert.equal(config.durationMin, 0);
+    assert.equal(config.durationMax, app.pollingSimulator.maxSeconds);
+});
+
+test('долгая симуляция останавливается на лимите событий с сообщением', () => {
+    setInputs({ initialInterval: 0.5, multiplier: 1, maxInterval: 0.5, maxWait: 1e12, rateLimit: 1e9, tasks: 50, durationMin: 1e12, durationMax: 1e12 });
+
+    const started = Date.now();
+    app.pollingSimulator.run();
+    assert.ok(Date.now() - started < 5000);
+
+    const result = app.pollingSimulator.simulate(app.pollingSimulator.readConfig(), 1);
+    assert.ok(result.truncated);
+    assert.equal(result.events.length, app.pollingSimulator.maxEvents);
+    assert.ok(result.tasks.every(task => task.truncated && Number.isFinite(task.timeoutAt)));
+    assert.equal(result.unfinished, 50);
+    assert.match(document.getElementById('simStats').textContent, /Симуляция остановлена после 5000 событий, задач без результата: 50/);
+    assert.doesNotMatch(document.getElementById('simChart').innerHTML, /NaN/);
+
+    document.querySelectorAll('.simulator-form input').forEach(input => {
+        input.value = input.defaultValue;
+    });
+    app.pollingSimulator.run();
+    assert.equal(document.querySelector('.simulator-truncated'), null);
+});
+
+test('задачи, которые не успели создать до лимита событий, не ломают таймлайн', () => {
+    setInputs({ initialInterval: 0.5, multiplier: 1, maxInterval: 0.5, maxWait: 86400, rateLimit: 1, tasks: 50, durationMin: 86400, durationMax: 86400 });
+    app.pollingSimulator.run();
+
+    const result = app.pollingSimulator.simulate(app.pollingSimulator.readConfig(), 1);
+    const notStarted = result.tasks.filter(task => task.start === undefined);
+    assert.ok(result.truncated);
+    assert.ok(notStarted.length > 0);
+    assert.ok(notStarted.every(task => task.truncated && !task.timedOut));
+    assert.equal(result.unfinished + result.timedOut + result.tasks.filter(task => task.doneAt !== null).length, 50);
+
+    const chart = document.getElementById('simChart').innerHTML;
+    assert.doesNotMatch(chart, /NaN/);
+    assert.equal(document.querySelectorAll('#simChart .sim-duration').length, 50 - notStarted.length);
+
+    document.querySelectorAll('.simulator-form input').forEach(input => {
+        input.value = input.defaultValue;
+    });
+    app.pollingSimulator.run();
+});
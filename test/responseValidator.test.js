@@ -0,0 +1,41 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, readFile } from './helpers/dom.js';
+
+let app;
+
+before(async () => {
+    ({ app } = await loadApp());
+});
+
+const pagination = text => JSON.parse(text.match(/"pagination": (\{[^}]*\})/)[1]);
+
+test('пример списка из openapi.json совпадает с документацией и проходит проверку', () => {
+    const example = app.responseValidator.example('list');
+    const expected = pagination(example);
+
+    assert.deepEqual(pagination(readFile('docs/API_GUIDE.md')), expected);
+    assert.deepEqual(pagination(readFile('docs/SDK_DOCUMENTATION.md')), expected);
+    assert.deepEqual(app.responseValidator.validate(example, 'list').issues, []);
+});
+
+test('totalPages сверяется с total и limit', () => {
+    const example = JSON.parse(app.responseValidator.example('list'));
+    example.data.pagination.totalPages = 3;
+
+    const { issues } = app.responseValidator.validate(JSON.stringify(example, null, 2), 'list');
+    assert.deepEqual(issues.map(issue => [issue.level, issue.path]), [['error', 'data.pagination.totalPages']]);
+});
+
+test('число задач на последней странице сверяется с total', () => {
+    const example = JSON.parse(app.responseValidator.example('list'));
+    const { limit, totalPages } = example.data.pagination;
+    Object.assign(example.data.pagination, { page: totalPages, total: (totalPages - 1) * limit + 2 });
+
+    const { issues } = app.responseValidator.validate(JSON.stringify(example, null, 2), 'list');
+    assert.deepEqual(issues.map(issue => [issue.level, issue.path]), [['warning', 'data.pagination']]);
+    assert.match(issues[0].message, /ожидалось 2 задач, получено 1/);
+
+    example.data.tasks.push({ ...example.data.tasks[0] });
+    assert.deepEqual(app.responseValidator.validate(JSON.stringify(example, null, 2), 'list').issues, []);
+});
@@ -0,0 +1,84 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './helpers/dom.js';
+
+let transcript;
+
+before(async () => {
+    ({ app: { transcript } } = await loadApp());
+});
+
+test('transcript.search находит разделы документов', () => {
+    const groups = transcript.search('polling');
+
+    assert.ok(groups.length > 0);
+    groups.forEach(group => {
+        assert.ok(['readme', 'sdk', 'api'].includes(group.docType));
+        assert.ok(group.hits.length > 0);
+        assert.deepEqual(group.queryTerms, ['poll']);
+    });
+    assert.ok(groups.some(group => group.docType === 'api'));
+});
+
+test('transcript.search сортирует группы по убыванию релевантности', () => {
+    const scores = transcript.search('task status').map(group => group.score);
+
+    assert.ok(scores.length > 1);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+});
+
+test('transcript.search требует все слова запроса в одном блоке', () => {
+    const groups = transcript.search('rate limit');
+
+    assert.ok(groups.length > 0);
+    groups.forEach(group => group.hits.forEach(({ block }) => {
+        const text = block.text.toLowerCase();
+        assert.match(text, /\brate/);
+        assert.match(text, /\blimit/);
+    }));
+});
+
+test('transcript.search ищет последнее слово по префиксу', () => {
+    assert.ok(transcript.search('authenticat').length > 0);
+});
+
+test('transcript.search возвращает пустой список без совпадений и для пустого запроса', () => {
+    assert.deepEqual(transcript.search('qwertyzxcv'), []);
+    assert.deepEqual(transcript.search(''), []);
+    assert.deepEqual(transcript.search('  !!! '), []);
+});
+
+test('highlightMatch подсвечивает слово целиком', () => {
+    assert.equal(transcript.highlightMatch('Polling the task', 'polling'), '<mark>Polling</mark> the task');
+});
+
+test('highlightMatch подсвечивает формы слова и префиксы', () => {
+    assert.equal(transcript.highlightMatch('tasks and task', 'task'), '<mark>tasks</mark> and <mark>task</mark>');
+    assert.equal(transcript.highlightMatch('Получение задачами', 'задача'), 'Получение <mark>задачами</mark>');
+    assert.equal(transcript.highlightMatch('authentication', 'auth'), '<mark>authentication</mark>');
+});
+
+test('highlightMatch не подсвечивает совпадение в середине слова', () => {
+    assert.equal(transcript.highlightMatch('task', 'ask'), 'task');
+});
+
+test('highlightMatch приравнивает ё к е', () => {
+    assert.equal(transcript.highlightMatch('Ёлка', 'елка'), '<mark>Ёлка</mark>');
+});
+
+test('highlightMatch экранирует HTML в тексте', () => {
+    assert.equal(
+        transcript.highlightMatch('<script>alert("task")</script>', 'task'),
+        '&lt;script&gt;alert(&quot;<mark>task</mark>&quot;)&lt;/script&gt;'
+    );
+});
+
+test('highlightMatch не ломается на спецсимволах регулярных выражений', () => {
+    assert.equal(transcript.highlightMatch('a+b (task)', 'task.*(['), 'a+b (<mark>task</mark>)');
+});
+
+test('highlightMatch без слов в запросе возвращает экранированный текст', () => {
+    assert.equal(transcript.highlightMatch('a < b', ''), 'a &lt; b');
+    assert.equal(transcript.highlightMatch('a < b', '?'), 'a &lt; b');
+    assert.equal(transcript.highlightMatch('', 'task'), '');
+});
@@ -0,0 +1,41 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './helpers/dom.js';
+
+let app;
+
+before(async () => {
+    ({ app } = await loadApp());
+});
+
+const request = {
+    method: 'GET',
+    baseUrl: 'http://localhost:3000/"gateway"',
+    path: '/api/v1/tasks',
+    query: {},
+    headers: { 'X-API-Key': 'manus_your_api_key_here', 'X-Note': 'say "hi" \\ ok' },
+    body: null
+};
+
+/**
+ * Строковые литералы Go и JavaScript из JSON.stringify разбираются обратно как JSON
+ */
+function literal(code, pattern) {
+    return JSON.parse(code.match(pattern)[1]);
+}
+
+test('кавычки и обратный слеш в URL и заголовках не ломают строки Go', () => {
+    const go = app.snippets.generate(request).go;
+
+    assert.equal(literal(go, /http\.NewRequest\("GET", ("(?:[^"\\]|\\.)*")/), 'http://localhost:3000/"gateway"/api/v1/tasks');
+    assert.equal(literal(go, /req\.Header\.Set\("X-Note", ("(?:[^"\\]|\\.)*")\)/), 'say "hi" \\ ok');
+});
+
+test('curl, fetch и Python получают экранированные URL и заголовки', () => {
+    const { curl, javascript, python } = app.snippets.generate(request);
+
+    assert.match(curl, /^curl -X GET 'http:\/\/localhost:3000\/"gateway"\/api\/v1\/tasks'/);
+    assert.ok(curl.includes(`-H 'X-Note: say "hi" \\ ok'`));
+    assert.equal(literal(javascript, /fetch\(("(?:[^"\\]|\\.)*")/), 'http://localhost:3000/"gateway"/api/v1/tasks');
+    assert.equal(literal(python, /requests\.get\(\n {4}("(?:[^"\\]|\\.)*")/), 'http://localhost:3000/"gateway"/api/v1/tasks');
+});
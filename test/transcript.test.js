@@ -0,0 +1,89 @@
+import { test, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, readFile } from './helpers/dom.js';
+import { docs } from '../assets/js/modules/docs.js';
+
+let app;
+let document;
+let download;
+
+before(async () => {
+    ({ app, document } = await loadApp());
+});
+
+beforeEach(() => {
+    mock.restoreAll();
+    download = mock.method(app.utils, 'downloadFile', () => {});
+});
+
+test('документы загружаются из docs/ без изменений', () => {
+    assert.equal(docs.readme, readFile('docs/README.md'));
+    assert.equal(docs.sdk, readFile('docs/SDK_DOCUMENTATION.md'));
+    assert.equal(docs.api, readFile('docs/API_GUIDE.md'));
+});
+
+test('downloadTranscript скачивает активный документ как Markdown', () => {
+    app.transcript.showDocument('readme');
+    app.transcript.downloadTranscript();
+
+    assert.equal(download.mock.callCount(), 1);
+    assert.deepEqual(download.mock.calls[0].arguments, [docs.readme, 'README.md', 'text/markdown']);
+});
+
+test('downloadTranscript следует за переключением документа', () => {
+    app.transcript.showDocument('api');
+    app.transcript.downloadTranscript();
+    app.transcript.showDocument('sdk');
+    app.transcript.downloadTranscript();
+
+    assert.deepEqual(download.mock.calls.map(call => call.arguments[1]), ['API_GUIDE.md', 'SDK_DOCUMENTATION.md']);
+    assert.equal(download.mock.calls[1].arguments[0], docs.sdk);
+});
+
+test('кнопка «Скачать» вызывает downloadTranscript', () => {
+    app.transcript.showDocument('readme');
+    document.getElementById('downloadTranscript').click();
+
+    assert.equal(download.mock.callCount(), 1);
+    assert.equal(download.mock.calls[0].arguments[1], 'README.md');
+});
+
+test('downloadTranscript ничего не скачивает без активного документа', () => {
+    document.querySelectorAll('.transcript-doc').forEach(doc => doc.classList.remove('active'));
+    app.transcript.downloadTranscript();
+
+    assert.equal(download.mock.callCount(), 0);
+    app.transcript.showDocument('readme');
+});
+
+test('downloadTranscript ничего не скачивает, если документ не загрузился', () => {
+    const content = docs.api;
+    docs.api = null;
+    try {
+        app.transcript.showDocument('api');
+        app.transcript.downloadTranscript();
+    } finally {
+        docs.api = content;
+    }
+
+    assert.equal(download.mock.callCount(), 0);
+});
+
+test('строки **Endpoint:** и длинные примеры оформляются при рендеринге, а не в docs/', () => {
+    assert.doesNotMatch(docs.api, /^:::/m);
+
+    const content = document.querySelector('#trans-api .doc-content');
+    const cards = Array.from(content.querySelectorAll('.endpoint-card .endpoint-header'), header => header.textContent.replace(/\s+/g, ' ').trim());
+    assert.deepEqual(cards, ['POST /api/v1/tasks', 'GET /api/v1/tasks/:taskUuid', 'GET /api/v1/tasks']);
+
+    const summaries = Array.from(content.querySelectorAll('details.doc-details > summary'), summary => summary.textContent);
+    assert.deepEqual(summaries, ['Показать пример целиком: python, строк: 82', 'Показать пример целиком: javascript, строк: 104']);
+    assert.ok(content.querySelector('details.doc-details pre code.language-python'));
+});
+
+test('короткий блок кода не сворачивается', () => {
+    const html = app.markdown.render('```bash\necho ok\n```');
+
+    assert.doesNotMatch(html, /<details/);
+    assert.match(html, /<pre><code class="language-bash">echo ok/);
+});
@@ -0,0 +1,161 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './helpers/dom.js';
+
+let app;
+let window;
+let document;
+
+before(async () => {
+    ({ app, window, document } = await loadApp());
+});
+
+afterEach(() => {
+    app.modal.close();
+});
+
+function key(target, name, options = {}) {
+    const event = new window.KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+function group(panelId) {
+    return document.getElementById(panelId).closest('.tabs');
+}
+
+function selected(tabGroup) {
+    return app.tabs.buttonsOf(tabGroup).find(button => button.getAttribute('aria-selected') === 'true');
+}
+
+// ==================== Tabs ====================
+test('группы вкладок получают роли tablist, tab и tabpanel', () => {
+    const tabGroup = group('python-install');
+    const [python, javascript] = app.tabs.buttonsOf(tabGroup);
+
+    assert.equal(python.parentElement.getAttribute('role'), 'tablist');
+    assert.equal(python.getAttribute('role'), 'tab');
+    assert.equal(python.getAttribute('aria-controls'), 'python-install');
+    assert.equal(document.getElementById('js-install').getAttribute('aria-labelledby'), javascript.id);
+    assert.equal(python.getAttribute('tabindex'), '0');
+    assert.equal(javascript.getAttribute('tabindex'), '-1');
+});
+
+test('клик по вкладке переключает панель и запоминает язык во всех группах', () => {
+    const install = group('python-install');
+    const [, javascript] = app.tabs.buttonsOf(install);
+
+    javascript.click();
+
+    assert.equal(selected(install), javascript);
+    assert.ok(document.getElementById('js-install').classList.contains('active'));
+    assert.ok(!document.getElementById('python-install').classList.contains('active'));
+    assert.equal(localStorage.getItem('manusDocs.language'), 'javascript');
+
+    // Остальные группы переключаются на тот же язык
+    assert.equal(app.tabs.languageOf(selected(group('python-quickstart'))), 'javascript');
+    assert.ok(document.getElementById('js-quickstart').classList.contains('active'));
+
+    app.tabs.buttonsOf(install)[0].click();
+    assert.equal(localStorage.getItem('manusDocs.language'), 'python');
+});
+
+test('стрелки, Home и End переключают вкладки внутри группы', () => {
+    const install = group('python-install');
+    const buttons = app.tabs.buttonsOf(install);
+    const last = buttons[buttons.length - 1];
+
+    key(buttons[0], 'ArrowRight');
+    assert.equal(selected(install), buttons[1]);
+    assert.equal(document.activeElement, buttons[1]);
+
+    key(buttons[1], 'Home');
+    assert.equal(selected(install), buttons[0]);
+
+    key(buttons[0], 'ArrowLeft');
+    assert.equal(selected(install), last);
+
+    key(last, 'End');
+    assert.equal(selected(install), last);
+
+    assert.ok(!key(last, 'Enter').defaultPrevented);
+    buttons[0].click();
+});
+
+// ==================== Modal ====================
+test('модальное окно открывается с фокусом внутри и блокирует прокрутку', () => {
+    const opener = document.querySelector('.use-case-card button');
+    opener.focus();
+
+    app.useCases.show('batch-processing');
+
+    const dialog = document.getElementById('useCaseModal');
+    assert.equal(app.modal.currentModal, dialog);
+    assert.ok(dialog.classList.contains('active'));
+    assert.equal(document.body.style.overflow, 'hidden');
+    assert.equal(document.activeElement, app.modal.focusableIn(dialog)[0]);
+    assert.equal(app.modal.returnFocus, opener);
+});
+
+test('Tab и Shift+Tab не выводят фокус из модального окна', () => {
+    app.useCases.show('batch-processing');
+
+    const items = app.modal.focusableIn(document.getElementById('useCaseModal'));
+    const first = items[0];
+    const last = items[items.length - 1];
+    assert.ok(items.length > 1);
+
+    last.focus();
+    assert.ok(key(last, 'Tab').defaultPrevented);
+    assert.equal(document.activeElement, first);
+
+    assert.ok(key(first, 'Tab', { shiftKey: true }).defaultPrevented);
+    assert.equal(document.activeElement, last);
+
+    // Внутри окна Tab работает как обычно
+    first.focus();
+    assert.ok(!key(first, 'Tab').defaultPrevented);
+});
+
+test('Escape закрывает окно и возвращает фокус', () => {
+    const opener = document.querySelector('.use-case-card button');
+    opener.focus();
+    app.useCases.show('batch-processing');
+
+    key(document.activeElement, 'Escape');
+
+    assert.equal(app.modal.currentModal, null);
+    assert.ok(!document.getElementById('useCaseModal').classList.contains('active'));
+    assert.equal(document.body.style.overflow, '');
+    assert.equal(document.activeElement, opener);
+});
+
+test('окно закрывается крестиком и кликом по подложке, но не по содержимому', () => {
+    const dialog = document.getElementById('useCaseModal');
+
+    app.useCases.show('batch-processing');
+    dialog.querySelector('.modal-content').click();
+    assert.equal(app.modal.currentModal, dialog);
+
+    dialog.click();
+    assert.equal(app.modal.currentModal, null);
+
+    app.useCases.show('batch-processing');
+    dialog.querySelector('.close').click();
+    assert.equal(app.modal.currentModal, null);
+});
+
+test('вкладки в модальном окне следуют выбранному языку', () => {
+    const [, javascript] = app.tabs.buttonsOf(group('python-install'));
+    javascript.click();
+
+    app.useCases.show('batch-processing');
+    const dialog = document.getElementById('useCaseModal');
+    const active = dialog.querySelector('.tab-btn.active');
+
+    assert.equal(active.getAttribute('data-language'), 'javascript');
+    assert.equal(active.getAttribute('aria-selected'), 'true');
+    assert.ok(document.getElementById(active.getAttribute('data-tab')).classList.contains('active'));
+
+    app.tabs.buttonsOf(group('python-install'))[0].click();
+});
@@ -0,0 +1,102 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { loadApp, readFile, waitFor } from './helpers/dom.js';
+
+let app;
+let window;
+let document;
+
+before(async () => {
+    ({ app, window, document } = await loadApp());
+});
+
+/**
+ * Открытие примера так же, как кнопкой карточки, и ожидание модального окна
+ */
+async function open(caseId) {
+    window.showUseCase(caseId);
+    await waitFor(() => app.modal.currentModal);
+}
+
+async function close() {
+    app.modal.close();
+    await waitFor(() => window.location.hash === '');
+}
+
+test('каждая карточка index.html ссылается на пример из SDK_DOCUMENTATION.md', () => {
+    // Разметка читается с диска: проверка не зависит от карточек, построенных модулем
+    const page = new JSDOM(readFile('index.html')).window.document;
+    const cards = page.querySelectorAll('.use-case-card');
+
+    assert.ok(cards.length > 0);
+    cards.forEach(card => {
+        const caseId = card.getAttribute('data-use-case');
+        const onclick = card.querySelector('button').getAttribute('onclick');
+
+        assert.equal(onclick, `showUseCase('${caseId}')`);
+        assert.ok(app.useCases.cases[caseId], `нет примера ${caseId}`);
+    });
+});
+
+test('каждый пример содержит заголовок и код на Python', () => {
+    Object.entries(app.useCases.cases).forEach(([caseId, useCase]) => {
+        assert.ok(useCase.title, caseId);
+        assert.ok(useCase.python, `${caseId}: нет Python`);
+    });
+});
+
+/**
+ * Языки примера в том порядке, в котором их показывают вкладки
+ */
+function languagesOf(useCase) {
+    return app.useCases.languages.filter(language => useCase[language.id]);
+}
+
+test('для примеров без карточки в разметке строятся новые карточки', () => {
+    const rendered = Array.from(document.querySelectorAll('.use-case-card'))
+        .map(card => card.getAttribute('data-use-case'));
+
+    assert.deepEqual(rendered.sort(), Object.keys(app.useCases.cases).sort());
+});
+
+test('showUseCase открывает пример для каждой карточки', async () => {
+    for (const card of document.querySelectorAll('.use-case-card')) {
+        const caseId = card.getAttribute('data-use-case');
+        const useCase = app.useCases.cases[caseId];
+
+        await open(caseId);
+
+        const dialog = document.getElementById('useCaseModal');
+        assert.equal(app.modal.currentModal, dialog);
+        assert.ok(dialog.classList.contains('active'));
+        assert.equal(window.location.hash, `#usecase/${caseId}`);
+        assert.equal(document.getElementById('useCaseTitle').textContent, useCase.title);
+
+        const code = Array.from(dialog.querySelectorAll('pre code')).map(block => block.textContent);
+        const languages = languagesOf(useCase);
+        assert.deepEqual(code, languages.map(language => useCase[language.id]));
+        assert.equal(dialog.querySelectorAll('[role="tab"]').length, languages.length);
+
+        await close();
+        assert.ok(!dialog.classList.contains('active'));
+    }
+});
+
+test('короткие ID из старых ссылок ведут на полный пример', async () => {
+    await open('retry');
+
+    assert.equal(document.getElementById('useCaseTitle').textContent,
+        app.useCases.cases['error-handling-and-retries'].title);
+    await close();
+});
+
+test('неизвестный пример показывает сообщение и список доступных', async () => {
+    await open('no-such-case');
+
+    const dialog = document.getElementById('useCaseModal');
+    assert.equal(document.getElementById('useCaseTitle').textContent, 'Пример не найден');
+    assert.match(dialog.querySelector('.use-case-error').textContent, /no-such-case/);
+    assert.equal(dialog.querySelectorAll('.use-case-error li a').length, Object.keys(app.useCases.cases).length);
+    await close();
+});
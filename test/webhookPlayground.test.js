@@ -0,0 +1,77 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './helpers/dom.js';
+
+let app;
+let document;
+let webhookPlayground;
+
+before(async () => {
+    ({ app, document } = await loadApp());
+    ({ webhookPlayground } = app);
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    webhookPlayground.settings.secret = '';
+    webhookPlayground.settings.header = 'X-Manus-Signature';
+    webhookPlayground.deliveries = [];
+    webhookPlayground.generate();
+    webhookPlayground.renderLog();
+});
+
+const lastError = () => document.querySelector('#webhookLog .webhook-delivery-error').textContent;
+
+test('ошибки проверки payload показываются без подсказки про CORS', async () => {
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response('ok'));
+
+    await webhookPlayground.send();
+    assert.equal(lastError(), 'Введите секрет webhook');
+
+    webhookPlayground.settings.secret = 'whsec_test';
+    document.getElementById('webhookPayload').value = '{';
+    await webhookPlayground.send();
+    assert.match(lastError(), /^Payload не является корректным JSON/);
+    assert.doesNotMatch(lastError(), /CORS/);
+
+    assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('сетевая ошибка доставки дополняется подсказкой про CORS', async () => {
+    mock.method(globalThis, 'fetch', async () => {
+        throw new TypeError('Failed to fetch');
+    });
+    webhookPlayground.settings.secret = 'whsec_test';
+
+    await webhookPlayground.send();
+    assert.match(lastError(), /^Failed to fetch\. .*CORS/);
+    assert.ok(document.querySelector('#webhookLog .webhook-replay'));
+});
+
+test('недопустимое имя заголовка отклоняется до отправки, а не выдается за ошибку CORS', async () => {
+    const fetch = mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    webhookPlayground.settings.secret = 'whsec_test';
+    webhookPlayground.settings.header = 'X Manus: Signature';
+
+    await webhookPlayground.send();
+    assert.equal(lastError(), 'Недопустимое имя заголовка подписи: X Manus: Signature');
+    assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('ошибки в журнале переводятся при смене языка', async () => {
+    await webhookPlayground.send();
+    mock.method(globalThis, 'fetch', async () => {
+        throw new TypeError('Failed to fetch');
+    });
+    webhookPlayground.settings.secret = 'whsec_test';
+    await webhookPlayground.send();
+
+    app.i18n.setLocale('en');
+    try {
+        const errors = Array.from(document.querySelectorAll('#webhookLog .webhook-delivery-error'), error => error.textContent);
+        assert.match(errors[0], /^Failed to fetch\. Check that the receiver is running/);
+        assert.equal(errors[1], 'Enter the webhook secret');
+    } finally {
+        app.i18n.setLocale('ru');
+    }
+});